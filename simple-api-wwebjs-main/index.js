@@ -1,176 +1,444 @@
 import dotenv from 'dotenv';
 import express from 'express';
 import pkg from 'whatsapp-web.js';
-const { Client, RemoteAuth } = pkg;
+const { Client, RemoteAuth, MessageMedia } = pkg;
 import { MongoClient } from 'mongodb';
-import archiver from 'archiver';
 import qr2 from 'qrcode';
+import multer from 'multer';
 import fs from 'fs';
 import path from 'path';
+import { fileURLToPath } from 'url';
 import { spawnSync } from 'child_process';
 import { execSync } from 'child_process';
-import { pipeline } from 'stream/promises';
+import { OtpService, OtpError } from './src/otp.js';
+import { MessageQueue, QueueState } from './src/queue.js';
+import { WebhookService, WebhookError } from './src/webhooks.js';
+import { SessionRegistry, SessionError } from './src/sessions.js';
+import { ApiKeyService, ApiKeyError, hasScope } from './src/apiKeys.js';
+import { OperatorSessions, OPERATOR_COOKIE } from './src/operators.js';
+import { RateLimiter } from './src/rateLimit.js';
+import { IdempotencyStore, IdempotencyError, requestFingerprint } from './src/idempotency.js';
+import { normalizePhone, maskPhone, PhoneLookup, PhoneError } from './src/phone.js';
+import { TemplateService, TemplateError, variablesOf } from './src/templates.js';
+import { MediaStore, MediaError, DEFAULT_MEDIA_TYPES } from './src/media.js';
+import { InboxService } from './src/inbox.js';
+import { RuleEngine, RuleError } from './src/rules.js';
+import { RetryPolicy } from './src/retry.js';
+import { createSessionStore, STORE_KINDS, StoreError } from './src/store.js';
+import { ArchiveCipher, parseKey, parseKeyList, validKeyId } from './src/cipher.js';
+import { Metrics } from './src/metrics.js';
+import { ClientState } from './src/clientState.js';
+import { Watchdog } from './src/watchdog.js';
+import { EventStream } from './src/stream.js';
+import { LogTail } from './src/logTail.js';
+import { CampaignService, CampaignError, RecipientState, parseRecipients, reportCsv } from './src/campaigns.js';
 
 dotenv.config();
 
 const app = express();
-app.use(express.json());
+app.set('view engine', 'ejs');
+app.set('views', path.join(path.dirname(fileURLToPath(import.meta.url)), 'pages'));
+// Render (and most PaaS) sit behind one proxy hop — needed for key IP allowlists
+if (process.env.TRUST_PROXY) app.set('trust proxy', /^\d+$/.test(process.env.TRUST_PROXY) ? Number(process.env.TRUST_PROXY) : process.env.TRUST_PROXY);
 
 const PORT                  = process.env.PORT || 3000;
 const MONGODB_URI           = process.env.MONGODB_URI;
-const CLIENT_ID             = 'primary';
-const WHATSAPP_API_PASSWORD = process.env.WHATSAPP_API_PASSWORD || '';
+const DEFAULT_SESSION_ID    = process.env.DEFAULT_SESSION_ID || 'primary';
+const ADMIN_API_KEY         = process.env.ADMIN_API_KEY || '';
 const FORCE_PUPPETEER       = String(process.env.FORCE_PUPPETEER || 'false').toLowerCase() === 'true';
 const AUTH_DIR              = '.wwebjs_auth';
+const SESSION_STORE         = String(process.env.SESSION_STORE || 'mongo').toLowerCase();
+const SESSION_STORE_DIR     = process.env.SESSION_STORE_DIR || 'session-store';
+const SESSION_BACKUP_VERSIONS = Number(process.env.SESSION_BACKUP_VERSIONS) || 5;
+const SESSION_ENCRYPTION_KEY_ID = process.env.SESSION_ENCRYPTION_KEY_ID || 'k1';
+const S3_BUCKET             = process.env.S3_BUCKET || '';
+const S3_PREFIX             = process.env.S3_PREFIX || 'wwebjs/';
+const S3_ENDPOINT           = process.env.S3_ENDPOINT || undefined;
+const S3_REGION             = process.env.S3_REGION || 'us-east-1';
+const S3_FORCE_PATH_STYLE   = process.env.S3_FORCE_PATH_STYLE ? process.env.S3_FORCE_PATH_STYLE === 'true' : undefined;
+
+const OTP_LENGTH             = Number(process.env.OTP_LENGTH) || 6;
+const OTP_TTL_MS             = Number(process.env.OTP_TTL_MS) || 300_000;
+const OTP_MAX_ATTEMPTS       = Number(process.env.OTP_MAX_ATTEMPTS) || 5;
+const OTP_RESEND_COOLDOWN_MS = Number(process.env.OTP_RESEND_COOLDOWN_MS) || 60_000;
+const OTP_LOCK_MS            = Number(process.env.OTP_LOCK_MS) || 900_000;
+const OTP_SECRET             = process.env.OTP_SECRET || '';
+const WEBHOOK_MAX_ATTEMPTS   = Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 8;
+const WEBHOOK_TIMEOUT_MS     = Number(process.env.WEBHOOK_TIMEOUT_MS) || 10_000;
+const WEBHOOK_CONCURRENCY    = Number(process.env.WEBHOOK_CONCURRENCY) || 4;
+const RATE_LIMIT_PER_PHONE   = envInt('RATE_LIMIT_PER_PHONE', 5);       // per RATE_LIMIT_PHONE_WINDOW_MS
+const RATE_LIMIT_PHONE_WINDOW_MS = envInt('RATE_LIMIT_PHONE_WINDOW_MS', 600_000);
+const RATE_LIMIT_PER_KEY     = envInt('RATE_LIMIT_PER_KEY', 60);        // per minute
+const RATE_LIMIT_PER_IP      = envInt('RATE_LIMIT_PER_IP', 120);        // per minute
+const DEFAULT_COUNTRY_CODE   = String(process.env.DEFAULT_COUNTRY_CODE || '').replace(/\D/g, '');
+const PHONE_CHECK_REGISTERED = String(process.env.PHONE_CHECK_REGISTERED || 'false').toLowerCase() === 'true';
+const PHONE_CHECK_TTL_MS     = Number(process.env.PHONE_CHECK_TTL_MS) || 7 * 24 * 3600_000;
+const OTP_MESSAGE            = process.env.OTP_MESSAGE
+  || 'Your verification code is {{code}}. It expires in {{minutes}} minutes.';
+const OTP_MESSAGE_AR         = process.env.OTP_MESSAGE_AR
+  || 'رمز التحقق الخاص بك هو {{code}}. تنتهي صلاحيته خلال {{minutes}} دقائق.';
+const OTP_TEMPLATE           = process.env.OTP_TEMPLATE || 'otp';
+const TEMPLATE_DEFAULT_LOCALE = process.env.TEMPLATE_DEFAULT_LOCALE || 'en';
+const MEDIA_MAX_BYTES        = Number(process.env.MEDIA_MAX_BYTES) || 16 * 1024 * 1024;
+const MEDIA_ALLOWED_TYPES    = process.env.MEDIA_ALLOWED_TYPES
+  ? process.env.MEDIA_ALLOWED_TYPES.split(',').map(t => t.trim().toLowerCase()).filter(Boolean)
+  : DEFAULT_MEDIA_TYPES;
+const MEDIA_FETCH_TIMEOUT_MS = Number(process.env.MEDIA_FETCH_TIMEOUT_MS) || 20_000;
+const MEDIA_RETENTION_MS     = Number(process.env.MEDIA_RETENTION_MS) || 7 * 24 * 3600_000;
+const INBOX_RETENTION_MS     = Number(process.env.INBOX_RETENTION_MS) || 30 * 24 * 3600_000;
+const METRICS_TOKEN          = process.env.METRICS_TOKEN || '';
+const WATCHDOG_INTERVAL_MS   = envInt('WATCHDOG_INTERVAL_MS', 30_000);  // 0 disables
+const WATCHDOG_TIMEOUT_MS    = Number(process.env.WATCHDOG_TIMEOUT_MS) || 10_000;
+const WATCHDOG_MAX_FAILURES  = Number(process.env.WATCHDOG_MAX_FAILURES) || 2;
+const WATCHDOG_RECOVER_TIMEOUT_MS = Number(process.env.WATCHDOG_RECOVER_TIMEOUT_MS) || 120_000;
+const DASHBOARD_SECRET       = process.env.DASHBOARD_SECRET || '';
+const DASHBOARD_SESSION_HOURS = Number(process.env.DASHBOARD_SESSION_HOURS) || 12;
+const LOG_TAIL_LINES         = Number(process.env.LOG_TAIL_LINES) || 500;
+const CAMPAIGN_RATE_PER_MINUTE = Number(process.env.CAMPAIGN_RATE_PER_MINUTE) || 12;
+const CAMPAIGN_MAX_RECIPIENTS  = Number(process.env.CAMPAIGN_MAX_RECIPIENTS) || 10_000;
+const CAMPAIGN_RETENTION_MS    = Number(process.env.CAMPAIGN_RETENTION_MS) || 30 * 24 * 3600_000;
+const IDEMPOTENCY_TTL_MS       = Number(process.env.IDEMPOTENCY_TTL_MS) || 24 * 3600_000;
+
+// Integer env var where 0 is meaningful (e.g. "unlimited")
+function envInt(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? fallback : value;
+}
+
+// Large enough for a base64 attachment at MEDIA_MAX_BYTES
+app.use(express.json({ limit: Math.ceil(MEDIA_MAX_BYTES * 4 / 3) + 64 * 1024 }));
 
 if (!MONGODB_URI) {
   console.error('❌ MONGODB_URI is missing');
   process.exit(1);
 }
 
+if (!STORE_KINDS.includes(SESSION_STORE)) {
+  console.error(`❌ SESSION_STORE must be one of ${STORE_KINDS.join(', ')}`);
+  process.exit(1);
+}
+if (SESSION_STORE === 's3' && !S3_BUCKET) {
+  console.error('❌ SESSION_STORE=s3 needs S3_BUCKET');
+  process.exit(1);
+}
+
+// Session archives are sealed with SESSION_ENCRYPTION_KEY; retired keys stay
+// in SESSION_ENCRYPTION_OLD_KEYS ("id:key,...") until everything is re-sealed
+let archiveCipher = null;
+if (process.env.SESSION_ENCRYPTION_KEY) {
+  try {
+    if (!validKeyId(SESSION_ENCRYPTION_KEY_ID)) throw new Error('SESSION_ENCRYPTION_KEY_ID may only use letters, digits, ".", "_" and "-"');
+    archiveCipher = new ArchiveCipher({
+      keyId: SESSION_ENCRYPTION_KEY_ID,
+      keys: {
+        ...parseKeyList(process.env.SESSION_ENCRYPTION_OLD_KEYS),
+        [SESSION_ENCRYPTION_KEY_ID]: parseKey(process.env.SESSION_ENCRYPTION_KEY, 'SESSION_ENCRYPTION_KEY'),
+      },
+    });
+  } catch (err) {
+    console.error(`❌ ${err.message}`);
+    process.exit(1);
+  }
+}
+
 // ─── State ────────────────────────────────────────────────────────────────────
-let qrValue      = null;
-let clientReady  = false;
-let initializing = false;
-let lastQrLogAt  = 0;
-const QR_LOG_COOLDOWN_MS = 10_000;
-let client = null;
-let store  = null;
+// Per-number client state (a state machine plus the current QR) lives on each
+// session — see src/sessions.js and src/clientState.js
+let sessions = null;
+let mongo  = null;
+let db     = null;
+let store  = null;   // where RemoteAuth keeps session archives — see src/store.js
+let otp    = null;
+let queue  = null;
+let webhooks = null;
+let apiKeys  = null;
+let limiter  = null;
+let idempotency = null;
+let phoneLookup = null;
+let templates   = null;
+let mediaStore  = null;
+let inbox       = null;
+let rules       = null;
+let watchdog    = null;
+let campaigns   = null;
 
+const metrics   = new Metrics({ token: METRICS_TOKEN, queueDepth });
+const events    = new EventStream();
+const logTail   = new LogTail({ size: LOG_TAIL_LINES });
+const logStream = new EventStream();
+const operators = new OperatorSessions({ secret: DASHBOARD_SECRET, ttlMs: DASHBOARD_SESSION_HOURS * 3600_000 });
+logTail.capture(console);
+logTail.on('line', line => logStream.publish('log', line));
+if (operators.ephemeral)
+  console.warn('⚠️  [Dashboard] DASHBOARD_SECRET is not set — operators have to sign in again after every restart');
+
+async function queueDepth() {
+  if (!queue || !sessions) return [];
+  const rows = [];
+  for (const session of sessions.all()) {
+    const depth = await queue.depth(session.id);
+    for (const [state, count] of Object.entries(depth)) rows.push({ sessionId: session.id, state, count });
+  }
+  return rows;
+}
+
+
+// Queue depth for the live stream: counted at most once per second per
+// session, however many sends and enqueues happen in between
+const QUEUE_DEPTH_DEBOUNCE_MS = 1_000;
+const depthTimers = new Map();
+
+function streamQueueDepth(sessionId) {
+  if (!events.size || depthTimers.has(sessionId)) return;
+  depthTimers.set(sessionId, setTimeout(async () => {
+    depthTimers.delete(sessionId);
+    try {
+      events.publish('queue', { sessionId, depth: await queue.depth(sessionId) });
+    } catch (err) {
+      console.error('❌ [Stream] queue depth error:', err.message);
+    }
+  }, QUEUE_DEPTH_DEBOUNCE_MS));
+}
+
+// A send result goes to webhook subscribers and, with the number masked, to
+// the live stream
+function reportSend(event, payload) {
+  webhooks?.emit(event, payload);
+  if (payload.kind === 'campaign' && !payload.willRetry)
+    campaigns?.recordResult(payload.id, event === 'message.sent'
+      ? { state: RecipientState.SENT }
+      : { state: RecipientState.FAILED, error: payload.error });
+  events.publish('send', { ...payload, phone: maskPhone(payload.phone), result: event === 'message.sent' ? 'sent' : 'failed' });
+  streamQueueDepth(payload.sessionId);
+}
 
 // ─── Message Queue ────────────────────────────────────────────────────────────
-// Each item: { id, phone, message, queuedAt, resolve, reject }
-const messageQueue   = [];
+// Persistent — see src/queue.js. Items: { _id, sessionId, phone, message, state, attempts, queuedAt }
 let   queueRunning   = false;
+let   queueTimer     = null;
 const QUEUE_INTERVAL = 5_000;   // process every 5 seconds
-const SEND_DELAY_MS  = 5_000;   // 1s gap between sends in the same batch
-
-// ─── MongoStore ───────────────────────────────────────────────────────────────
-// ─── MongoStore (with GridFS) ─────────────────────────────────────────────────
-class MongoStore {
- constructor() {
- this._client = null;
- this._db = null;
- this._bucket = null;
- }
- async init() {
- this._client = new MongoClient(MONGODB_URI, {
- serverSelectionTimeoutMS: 10_000,
- connectTimeoutMS: 10_000,
- });
- await this._client.connect();
- this._db = this._client.db('whatsapp_bot');
- const { GridFSBucket } = await import('mongodb');
- this._bucket = new GridFSBucket(this._db);
- console.log('[MongoDB] Connected — GridFS ready ✓');
- }
- async close() {
- if (this._client) await this._client.close();
- }
- async sessionExists({ session }) {
- try {
- const files = await this._db.collection('fs.files').findOne({ filename: session });
- const exists = !!files;
- console.log(`[MongoDB] sessionExists("${session}") → ${exists}`);
- return exists;
- } catch (err) {
- console.error('[MongoDB] sessionExists error:', err.message);
- return false;
- }
- }
- async save({ session: sessionDir }) {
- const sessionName = path.basename(sessionDir);
- console.log(`[MongoDB] save() — zipping directory: "${sessionDir}"`);
- try {
- if (!fs.existsSync(sessionDir)) {
- const alt = path.join(AUTH_DIR, sessionName);
- if (fs.existsSync(alt)) {
- console.log(`[MongoDB] Resolved session dir to: "${alt}"`);
- sessionDir = alt;
- } else {
- throw new Error(`Session directory not found: "${sessionDir}" or "${alt}"`);
- }
- }
- const zipBuffer = await this._zipDirectory(sessionDir);
- 
- // Delete old file if exists
- try {
- const oldFile = await this._db.collection('fs.files').findOne({ filename: sessionName });
- if (oldFile) {
- await this._bucket.delete(oldFile._id);
- console.log(`[MongoDB] Deleted old session file`);
- }
- } catch {}
- 
- // Upload to GridFS
- await new Promise((resolve, reject) => {
- const uploadStream = this._bucket.openUploadStream(sessionName);
- uploadStream.on('error', reject);
- uploadStream.on('finish', resolve);
- uploadStream.end(zipBuffer);
- });
- 
- console.log(`✅ [MongoDB] Session "${sessionName}" saved (${zipBuffer.length} bytes)`);
- } catch (err) {
- console.error('[MongoDB] save error:', err.message);
- throw err;
- }
- }
-async extract({ session: sessionName, path: destZipPath }) {
- console.log(`[MongoDB] extract() — writing zip to: "${destZipPath}"`);
- try {
- const file = await this._db.collection('fs.files').findOne({ filename: sessionName });
- if (!file) throw new Error(`Session "${sessionName}" not found in MongoDB`);
- 
- // Download from GridFS with proper error handling
- const destDir = path.dirname(destZipPath);
- if (!fs.existsSync(destDir)) fs.mkdirSync(destDir, { recursive: true });
- 
- await new Promise((resolve, reject) => {
- const downloadStream = this._bucket.openDownloadStream(file._id);
- const writeStream = fs.createWriteStream(destZipPath);
- 
- downloadStream.on('error', reject);
- writeStream.on('error', reject);
- writeStream.on('finish', resolve);
- 
- downloadStream.pipe(writeStream);
- });
- 
- const stats = fs.statSync(destZipPath);
- console.log(`✅ [MongoDB] Session "${sessionName}" written to "${destZipPath}" (${stats.size} bytes)`);
- } catch (err) {
- console.error('[MongoDB] extract error:', err.message);
- throw err;
- }
- }
-async delete({ session: sessionName }) {
- try {
- const file = await this._db.collection('fs.files').findOne({ filename: sessionName });
- if (file) {
- await this._bucket.delete(file._id);
- }
- console.log(`[MongoDB] Session "${sessionName}" deleted ✓`);
- } catch (err) {
- console.error('[MongoDB] delete error:', err.message);
- }
- }
- 
- // Zip an entire directory into a Buffer
- _zipDirectory(dirPath) {
- return new Promise((resolve, reject) => {
- const chunks = [];
- const archive = archiver('zip', { zlib: { level: 6 } });
- archive.on('data', (chunk) => chunks.push(chunk));
- archive.on('end', () => resolve(Buffer.concat(chunks)));
- archive.on('error', reject);
- archive.directory(dirPath, false);
- archive.finalize();
- });
- }
-}
+const SEND_DELAY_MS  = 5_000;   // gap between sends in the same batch
+const QUEUE_LEASE_MS = Number(process.env.QUEUE_LEASE_MS) || 300_000;
+const retryPolicy    = new RetryPolicy({
+  maxAttempts: Number(process.env.QUEUE_MAX_ATTEMPTS) || 5,
+  baseDelayMs: Number(process.env.QUEUE_RETRY_BASE_MS) || 30_000,
+  maxDelayMs:  Number(process.env.QUEUE_RETRY_MAX_MS) || 1800_000,
+});
 
 // ─── Helpers ──────────────────────────────────────────────────────────────────
+// Authenticate the API key and check it grants `scope`. Fails closed: no
+// key, unknown key or no keys configured at all → 401.
+function requireScope(scope) {
+  return async (req, res, next) => {
+    if (!apiKeys)
+      return res.status(503).json({ ok: false, error: 'Service is starting — try again shortly' });
+    try {
+      const key = await apiKeys.authenticate(readApiKey(req), req.ip);
+      if (!hasScope(key, scope))
+        return res.status(403).json({ ok: false, error: `API key lacks the "${scope}" scope` });
+      req.apiKey = key;
+      next();
+    } catch (err) {
+      if (err instanceof ApiKeyError)
+        return res.status(err.status).json({ ok: false, error: err.message });
+      console.error('❌ [Keys] auth error:', err.message);
+      return res.status(500).json({ ok: false, error: err.message });
+    }
+  };
+}
+
+// Multipart bodies (one attachment in field "file"); JSON bodies pass through
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: MEDIA_MAX_BYTES, files: 1 } }).single('file');
+
+function parseUpload(req, res, next) {
+  upload(req, res, (err) => {
+    if (!err) return next();
+    const tooLarge = err.code === 'LIMIT_FILE_SIZE';
+    return res.status(tooLarge ? 413 : 400).json({ ok: false, error: err.message, code: tooLarge ? 'media_too_large' : 'invalid_media' });
+  });
+}
+
+// Multipart fields arrive as strings — accept JSON there for objects like vars
+function parseJsonField(value) {
+  if (typeof value !== 'string') return value;
+  try { return JSON.parse(value); } catch { return value; }
+}
+
+// Rewrite req.body.phone to E.164 digits before anything else looks at it
+function normalizePhoneField(req, res, next) {
+  if (req.body?.phone === undefined) return next();
+  try {
+    req.body.phone = normalizePhone(req.body.phone, { defaultCountryCode: DEFAULT_COUNTRY_CODE });
+    next();
+  } catch (err) {
+    if (!(err instanceof PhoneError)) throw err;
+    return res.status(err.status).json({ ok: false, error: err.message, code: err.code });
+  }
+}
+
+// Abuse protection for anything that enqueues a message: per recipient, per
+// API key and per source IP. Key-level `rateLimits` override the defaults.
+// The IP limit needs TRUST_PROXY: behind a proxy req.ip is otherwise the
+// proxy's own address, and every caller would share one bucket.
+// OTP checks count in buckets of their own, so guessing a code doesn't use
+// up the number's send budget.
+const rateLimit       = limitRequests('');
+const rateLimitVerify = limitRequests('verify:');
+
+function limitRequests(prefix) {
+  return async (req, res, next) => {
+    if (!limiter)
+      return res.status(503).json({ ok: false, error: 'Service is starting — try again shortly' });
+
+    const overrides = req.apiKey?.rateLimits || {};
+    const phone     = String(req.body?.phone || '').replace(/\D/g, '');
+    const rules = [
+      { name: 'ip',    bucket: `${prefix}ip:${req.ip}`,         limit: overrides.perIp    ?? RATE_LIMIT_PER_IP,    windowMs: 60_000 },
+      { name: 'key',   bucket: `${prefix}key:${req.apiKey.id}`, limit: overrides.perKey   ?? RATE_LIMIT_PER_KEY,   windowMs: 60_000 },
+      { name: 'phone', bucket: `${prefix}phone:${phone}`,       limit: overrides.perPhone ?? RATE_LIMIT_PER_PHONE, windowMs: RATE_LIMIT_PHONE_WINDOW_MS },
+    ].filter(r => (r.name !== 'phone' || phone) && (r.name !== 'ip' || process.env.TRUST_PROXY));
+
+    try {
+      const result = await limiter.check(rules);
+      if (result.allowed) return next();
+      console.warn(`🚫 [RateLimit] ${result.name} limit hit key=${req.apiKey.name} ip=${req.ip} phone=${maskPhone(phone)}`);
+      res.set('Retry-After', String(result.retryAfter));
+      return res.status(429).json({
+        ok:         false,
+        error:      `Rate limit exceeded (${result.name}: ${result.limit} per ${Math.round(result.windowMs / 1000)}s)`,
+        code:       'rate_limited',
+        limit:      result.name,
+        retryAfter: result.retryAfter,
+      });
+    } catch (err) {
+      console.error('❌ [RateLimit] error:', err.message);
+      return res.status(500).json({ ok: false, error: err.message });
+    }
+  };
+}
+
+// Idempotency-Key header (or a `clientRef` field): repeating a request with
+// the same key and body answers with the first response — the same message
+// id, with its current state — instead of queueing again. The same key with a
+// different body is refused. A response other than 2xx frees the key.
+function idempotent(endpoint) {
+  return async (req, res, next) => {
+    const key = req.get('idempotency-key') ?? req.body?.clientRef;
+    if (key === undefined || key === '') return next();
+    if (!idempotency)
+      return res.status(503).json({ ok: false, error: 'Service is starting — try again shortly' });
+
+    const scope = `${req.apiKey.id}:${endpoint}`;
+    const { clientRef, ...body } = req.body || {};
+    try {
+      const stored = await idempotency.begin(scope, String(key), requestFingerprint(body, req.file));
+      if (stored) return await replayResponse(res, stored, key);
+    } catch (err) {
+      if (err instanceof IdempotencyError)
+        return res.status(err.status).json({ ok: false, error: err.message, code: err.code });
+      console.error('❌ [Idempotency] error:', err.message);
+      return res.status(500).json({ ok: false, error: err.message });
+    }
+
+    // Record the answer before it goes out, so a quick retry finds it
+    const json = res.json.bind(res);
+    res.json = (payload) => {
+      const settle = res.statusCode >= 200 && res.statusCode < 300
+        ? idempotency.finish(scope, String(key), { status: res.statusCode, body: payload })
+        : idempotency.release(scope, String(key));
+      settle
+        .catch(err => console.error(`❌ [Idempotency] key=${key} not recorded:`, err.message))
+        .finally(() => json(payload));
+      return res;
+    };
+    next();
+  };
+}
+
+async function replayResponse(res, { status, body }, key) {
+  const current = body?.id && queue ? await queue.get(body.id) : null;
+  console.log(`🔁 [Idempotency] Replayed key=${key} id=${body?.id} state=${current?.state}`);
+  res.set('Idempotent-Replayed', 'true');
+  return res.status(status).json({ ...body, ...(current && { state: current.state }), replayed: true });
+}
+
+// x-api-key, Authorization: Bearer, or the legacy x-password header
+function readApiKey(req) {
+  const auth = req.headers.authorization || '';
+  if (auth.startsWith('Bearer ')) return auth.slice(7).trim();
+  return req.headers['x-api-key'] || req.headers['x-password'] || '';
+}
+
+function readCookie(req, name) {
+  for (const part of String(req.headers.cookie || '').split(';')) {
+    const sep = part.indexOf('=');
+    if (sep > 0 && part.slice(0, sep).trim() === name) return decodeURIComponent(part.slice(sep + 1).trim());
+  }
+  return '';
+}
+
+// Where to go after signing in: a path on this server, never another host
+function safeNext(value) {
+  const next = String(value || '');
+  return /^\/(?![\/\\])/.test(next) ? next : '';
+}
+
+// Dashboard routes: a signed-in operator (see src/operators.js) whose key
+// still has the admin scope. Anything but GET also needs the CSRF token.
+// Pages redirect to the sign-in form, which comes back to them after; JSON
+// routes answer 401.
+function requireOperator({ page = false } = {}) {
+  return async (req, res, next) => {
+    if (!apiKeys)
+      return res.status(503).json({ ok: false, error: 'Service is starting — try again shortly' });
+    const deny  = (error) => page
+      ? res.redirect(`/dashboard/login${req.originalUrl === '/' ? '' : `?next=${encodeURIComponent(req.originalUrl)}`}`)
+      : res.status(401).json({ ok: false, error });
+    const token = readCookie(req, OPERATOR_COOKIE);
+    const claim = operators.verify(token);
+    if (!claim) return deny('Sign in at /dashboard/login');
+    try {
+      const key = await apiKeys.findActive(claim.keyId);
+      if (!key || !hasScope(key, 'admin')) return deny('This API key no longer works — sign in again');
+      if (req.method !== 'GET' && !operators.checkCsrf(token, req.headers['x-csrf-token']))
+        return res.status(403).json({ ok: false, error: 'Missing or invalid CSRF token' });
+      req.operator = { keyId: key.id, name: key.name, csrf: operators.csrfToken(token) };
+      next();
+    } catch (err) {
+      console.error('❌ [Dashboard] auth error:', err.message);
+      return res.status(500).json({ ok: false, error: err.message });
+    }
+  };
+}
+
+// Pick the session (explicit id or routing rule) and, if enabled, confirm the
+// number is on WhatsApp. Throws SessionError / PhoneError.
+async function resolveRecipient(phone, sessionId) {
+  const session = sessions.route(phone, sessionId);
+  const chatId  = await phoneLookup.resolve(session, phone);
+  return { session, chatId };
+}
+
+// Persist an item for the recipient's session
+async function enqueueMessage(phone, message, { session, recipient, ...extra } = {}) {
+  recipient ??= await resolveRecipient(phone, session);
+  const sessionId = recipient.session.id;
+  const result    = await queue.enqueue({ phone, chatId: recipient.chatId, message, sessionId, ...extra });
+  metrics.enqueued(sessionId, extra.kind);
+  streamQueueDepth(sessionId);
+  const slot = result.sendAt ? `sendAt=${result.sendAt.toISOString()}` : `position=${result.position}`;
+  console.log(`📨 [Queue] Enqueued id=${result.id} session=${sessionId} phone=${maskPhone(phone)} ${slot} queueSize=${result.queueSize}`);
+  return { ...result, sessionId };
+}
+
+function describeStore() {
+  switch (SESSION_STORE) {
+    case 'local': return `local directory "${SESSION_STORE_DIR}"`;
+    case 's3':    return `S3 bucket "${S3_BUCKET}"${S3_ENDPOINT ? ` at ${S3_ENDPOINT}` : ''}`;
+    default:      return 'MongoDB GridFS';
+  }
+}
+
 function ensureAuthDir() {
   if (!fs.existsSync(AUTH_DIR)) {
     fs.mkdirSync(AUTH_DIR, { recursive: true });
@@ -244,33 +512,15 @@ function buildPuppeteerOptions() {
 }
 
 // ─── WhatsApp client ──────────────────────────────────────────────────────────
-async function initWhatsAppClient() {
-  if (initializing) return;
-  initializing = true;
-
-  const lockFiles = [
-    path.join(process.cwd(), AUTH_DIR, 'SingletonLock'),
-    path.join(process.cwd(), AUTH_DIR, 'session', 'SingletonLock')
-  ];
-
-  for (const file of lockFiles) {
-    if (fs.existsSync(file)) {
-      try {
-        fs.unlinkSync(file);
-        console.log(`🧹 Removed lock file: ${file}`);
-      } catch (e) {
-        console.warn(`⚠️ Could not remove lock file: ${file}`);
-      }
-    }
-  }
-
+// Factory handed to the session registry — one client per session id
+function createClient(sessionId) {
   detectChromium();
   // لا تقم بإنشاء المجلد هنا، دالة boot قامت بذلك
 
-  client = new Client({
+  return new Client({
     authStrategy: new RemoteAuth({
-      clientId: CLIENT_ID,
-      store: store, // تأكد أن الـ store معرف هنا
+      clientId: sessionId,
+      store,
       backupSyncIntervalMs: 300_000, // رفع الفاصل الزمني للنسخ الاحتياطي (5 دقائق)
       dataPath: AUTH_DIR,
     }),
@@ -279,68 +529,182 @@ async function initWhatsAppClient() {
     restartOnAuthFail: true,
     webVersionCache: { type: 'none' },
   });
-  
-  client.on('qr', (q) => {
-    qrValue = q;
-    const now = Date.now();
-    if (now - lastQrLogAt > QR_LOG_COOLDOWN_MS) {
-      console.log('📱 QR generated — open /whatsapp/login to scan');
-      lastQrLogAt = now;
+}
+
+// Forward session events to the queue and webhook subscribers
+function wireSession(session) {
+  const sessionId = session.id;
+  metrics.clientState(sessionId, session.state);
+
+  session.on('state', (change) => {
+    metrics.clientState(sessionId, change.to);
+    events.publish('state', { sessionId, ...change });
+  });
+
+  session.on('qr', (q) => {
+    metrics.qr(sessionId);
+    webhooks?.emit('session.qr', { sessionId, qr: q });
+    streamQr(sessionId, q);
+  });
+
+  session.on('pairing_code', (code) => {
+    webhooks?.emit('session.pairing_code', { sessionId, code });
+    events.publish('pairing_code', { sessionId, code: formatPairingCode(code) });
+  });
+
+  session.on('operation', (operation) => events.publish('operation', { sessionId, operation }));
+
+  session.on('message_ack', async (msg, ack) => {
+    if (!queue || !msg?.fromMe) return;
+    try {
+      const id = await queue.recordAck(msg.id._serialized, ack);
+      if (!id) return;
+      console.log(`📬 [Queue] Ack id=${id} ack=${ack}`);
+      webhooks?.emit('message.ack', { id, sessionId, waMessageId: msg.id._serialized, phone: msg.to?.split('@')[0], ack });
+    } catch (err) {
+      console.error('❌ [Queue] ack error:', err.message);
     }
   });
 
-  client.on('authenticated', () => console.log('✅ WhatsApp authenticated'));
+  session.on('message', (msg) =>
+    handleInbound(session, msg).catch(err => console.error(`❌ [Inbox] [${sessionId}] error:`, err.message))
+  );
 
-  client.on('remote_session_saved', () =>
-    console.log('💾 Remote session saved to MongoDB ✓')
+  session.on('ready', (info) =>
+    webhooks?.emit('session.ready', { sessionId, wid: info?.wid?._serialized })
   );
 
-  client.on('ready', () => {
-    clientReady  = true;
-    qrValue      = null;
-    initializing = false;
-    console.log('🤖 WhatsApp client READY — no QR needed next deploy');
-  });
+  session.on('auth_failure', (msg) =>
+    webhooks?.emit('session.auth_failure', { sessionId, message: String(msg) })
+  );
 
-  client.on('auth_failure', (msg) => {
-    console.error('❌ auth_failure:', msg);
-    clientReady  = false;
-    initializing = false;
+  session.on('unhealthy', (reason) => {
+    metrics.reconnect(sessionId, 'watchdog');
+    webhooks?.emit('session.disconnected', { sessionId, reason });
   });
 
-  client.on('disconnected', async (reason) => {
-    console.warn('⚠️  disconnected:', reason);
-    clientReady  = false;
-    initializing = false;
-    try { await client.destroy(); } catch {}
-    console.log('♻️  Re-initializing in 15s...');
-    setTimeout(() => initWhatsAppClient(), 15_000);
+  session.on('disconnected', (reason) => {
+    metrics.reconnect(sessionId, reason);
+    webhooks?.emit('session.disconnected', { sessionId, reason: String(reason) });
   });
+}
 
-  try {
-    console.log('⚙️  client.initialize()...');
-    await client.initialize();
-  } catch (err) {
-    console.error('❌ client.initialize() failed:', err.message);
-    initializing = false;
-  }
+// The login page swaps the image in place, so send it ready to display
+async function qrEvent(sessionId, qr) {
+  return { sessionId, qr, image: await qr2.toDataURL(qr) };
+}
+
+function streamQr(sessionId, qr) {
+  if (!events.size) return;
+  qrEvent(sessionId, qr)
+    .then(data => events.publish('qr', data))
+    .catch(err => console.error('❌ [Stream] QR image error:', err.message));
 }
 
-let isBooting = false;
+let isBooting     = false;
+let lastBootError = null;
 // ─── Boot ─────────────────────────────────────────────────────────────────────
 async function boot() {
-
   if (isBooting) return;
   isBooting = true;
-  
+
   try {
     cleanupStaleProcesses();
     
-    store = new MongoStore();
+    mongo = new MongoClient(MONGODB_URI, {
+      serverSelectionTimeoutMS: 10_000,
+      connectTimeoutMS: 10_000,
+    });
+    await mongo.connect();
+    db = mongo.db('whatsapp_bot');
+    console.log('[MongoDB] Connected ✓');
+    store = createSessionStore(SESSION_STORE, {
+      db,
+      authDir: AUTH_DIR,
+      keep:    SESSION_BACKUP_VERSIONS,
+      cipher:  archiveCipher,
+      dir:     SESSION_STORE_DIR,
+      s3: {
+        bucket:          S3_BUCKET,
+        prefix:          S3_PREFIX,
+        endpoint:        S3_ENDPOINT,
+        region:          S3_REGION,
+        accessKeyId:     process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+        forcePathStyle:  S3_FORCE_PATH_STYLE,
+      },
+    });
+    console.log(`[Store] Session archives kept in ${describeStore()} ✓`);
     await store.init();
-    startQueueProcessor();
+    store.on('saved', ({ session, bytes, durationMs }) =>
+      metrics.sessionSaved(session.replace(/^RemoteAuth-/, ''), { bytes, durationMs })
+    );
+    apiKeys = new ApiKeyService(db, { bootstrapKey: ADMIN_API_KEY });
+    await apiKeys.init();
+    limiter = new RateLimiter(db);
+    await limiter.init();
+    if (!process.env.TRUST_PROXY && RATE_LIMIT_PER_IP > 0)
+      console.warn('⚠️  [RateLimit] TRUST_PROXY is not set — the per-IP limit is off; per-key and per-phone limits still apply');
+    idempotency = new IdempotencyStore(db, { ttlMs: IDEMPOTENCY_TTL_MS });
+    await idempotency.init();
+    phoneLookup = new PhoneLookup(db, { enabled: PHONE_CHECK_REGISTERED, ttlMs: PHONE_CHECK_TTL_MS });
+    await phoneLookup.init();
+    templates = new TemplateService(db, {
+      defaultLocale: TEMPLATE_DEFAULT_LOCALE,
+      builtIns: {
+        otp: { description: 'One-time code (built-in)', locales: { en: OTP_MESSAGE, ar: OTP_MESSAGE_AR } },
+      },
+    });
+    await templates.init();
+    mediaStore = new MediaStore(db, {
+      maxBytes:       MEDIA_MAX_BYTES,
+      allowedTypes:   MEDIA_ALLOWED_TYPES,
+      fetchTimeoutMs: MEDIA_FETCH_TIMEOUT_MS,
+      retentionMs:    MEDIA_RETENTION_MS,
+    });
+    mediaStore.init();
+    mediaStore.start();
+    inbox = new InboxService(db, { retentionMs: INBOX_RETENTION_MS });
+    await inbox.init();
+    rules = new RuleEngine(db);
+    await rules.init();
+    otp = new OtpService(db, {
+      length:           OTP_LENGTH,
+      ttlMs:            OTP_TTL_MS,
+      maxAttempts:      OTP_MAX_ATTEMPTS,
+      resendCooldownMs: OTP_RESEND_COOLDOWN_MS,
+      lockMs:           OTP_LOCK_MS,
+      secret:           OTP_SECRET,
+    });
+    await otp.init();
+    webhooks = new WebhookService(db, {
+      maxAttempts: WEBHOOK_MAX_ATTEMPTS,
+      timeoutMs:   WEBHOOK_TIMEOUT_MS,
+      concurrency: WEBHOOK_CONCURRENCY,
+    });
+    await webhooks.init();
+    await webhooks.start();
+    queue = new MessageQueue(db, { leaseMs: QUEUE_LEASE_MS });
+    await queue.init();
+    campaigns = new CampaignService(db, {
+      feed:               feedCampaign,
+      defaultRate:        CAMPAIGN_RATE_PER_MINUTE,
+      maxRecipients:      CAMPAIGN_MAX_RECIPIENTS,
+      retentionMs:        CAMPAIGN_RETENTION_MS,
+      defaultCountryCode: DEFAULT_COUNTRY_CODE,
+    });
+    await campaigns.init();
+
+    sessions = new SessionRegistry(db, { defaultId: DEFAULT_SESSION_ID, createClient, authDir: AUTH_DIR });
+    sessions.on('session', wireSession);
+    await sessions.load();
+    await store.migrate(sessions.all().map(s => s.sessionKey));
+    const adopted = await queue.assignUnrouted(DEFAULT_SESSION_ID);
+    if (adopted) console.log(`📬 [Queue] Assigned ${adopted} older item(s) to session "${DEFAULT_SESSION_ID}"`);
+    await startQueueProcessor();
+    await campaigns.start();
 
-    const sessionKey = `RemoteAuth-${CLIENT_ID}`;
+    const sessionKey = sessions.default.sessionKey;
     const hasSession = await store.sessionExists({ session: sessionKey });
 
     if (hasSession) {
@@ -364,232 +728,1250 @@ async function boot() {
       console.log('🆕 No session found — QR scan required for first login');
     }
 
-    await initWhatsAppClient();
-    isBooting = false;
+    await sessions.startAll();
+    if (WATCHDOG_INTERVAL_MS > 0) {
+      watchdog = new Watchdog(() => sessions.all(), {
+        intervalMs:  WATCHDOG_INTERVAL_MS,
+        timeoutMs:   WATCHDOG_TIMEOUT_MS,
+        maxFailures: WATCHDOG_MAX_FAILURES,
+        recoverTimeoutMs: WATCHDOG_RECOVER_TIMEOUT_MS,
+      });
+      watchdog.start();
+    }
+    lastBootError = null;
   } catch (err) {
+    lastBootError = { message: err.message, at: new Date() };
     console.error('❌ boot() failed:', err.message);
     console.log('♻️  Retrying in 20s...');
     setTimeout(() => boot(), 20_000);
+  } finally {
+    // Reset on failure too, or the retry above returns straight away
+    isBooting = false;
   }
 }
 
 // ─── Routes ───────────────────────────────────────────────────────────────────
-app.get('/', (_req, res) => res.send(`<!DOCTYPE html>
-<html lang="en">
-<head>
-<meta charset="UTF-8"/>
-<meta name="viewport" content="width=device-width,initial-scale=1"/>
-<title>WhatsApp Bot</title>
-<link href="https://fonts.googleapis.com/css2?family=Syne:wght@400;600;700;800&family=DM+Mono:wght@400;500&display=swap" rel="stylesheet"/>
-<style>
-  *{margin:0;padding:0;box-sizing:border-box}
-  :root{
-    --bg:#0a0a0a;--surface:#111;--border:#1e1e1e;
-    --green:#00e676;--green-dim:#00e67622;
-    --text:#f0f0f0;--muted:#555;--danger:#ff4444;
-  }
-  body{background:var(--bg);color:var(--text);font-family:'Syne',sans-serif;min-height:100vh;display:flex;flex-direction:column;align-items:center;justify-content:center;padding:24px;overflow:hidden}
-  body::before{content:'';position:fixed;inset:0;background-image:linear-gradient(var(--border) 1px,transparent 1px),linear-gradient(90deg,var(--border) 1px,transparent 1px);background-size:40px 40px;opacity:.4;pointer-events:none}
-  body::after{content:'';position:fixed;top:-200px;left:50%;transform:translateX(-50%);width:600px;height:600px;background:radial-gradient(circle,#00e67615 0%,transparent 70%);pointer-events:none}
-  .card{background:var(--surface);border:1px solid var(--border);border-radius:20px;padding:48px;max-width:480px;width:100%;position:relative;box-shadow:0 0 0 1px #ffffff08,0 32px 64px #00000080;animation:fadeUp .6s cubic-bezier(.16,1,.3,1) both}
-  .card::before{content:'';position:absolute;inset:0;border-radius:20px;background:linear-gradient(135deg,#ffffff06 0%,transparent 60%);pointer-events:none}
-  .logo{width:56px;height:56px;background:var(--green-dim);border:1px solid #00e67633;border-radius:16px;display:flex;align-items:center;justify-content:center;margin-bottom:32px}
-  .logo svg{width:28px;height:28px;fill:var(--green)}
-  h1{font-size:28px;font-weight:800;letter-spacing:-1px;margin-bottom:8px}
-  .subtitle{color:var(--muted);font-size:14px;font-family:'DM Mono',monospace;margin-bottom:40px}
-  .status-row{display:flex;align-items:center;gap:12px;padding:16px 20px;background:#ffffff05;border:1px solid var(--border);border-radius:12px;margin-bottom:12px}
-  .dot{width:8px;height:8px;border-radius:50%;flex-shrink:0}
-  .dot.green{background:var(--green);box-shadow:0 0 8px var(--green)}
-  .dot.red{background:var(--danger);box-shadow:0 0 8px var(--danger)}
-  .dot.yellow{background:#ffd600;box-shadow:0 0 8px #ffd600;animation:pulse 1.5s infinite}
-  .status-label{font-size:13px;color:var(--muted);font-family:'DM Mono',monospace;flex:1}
-  .status-val{font-size:13px;font-weight:600;font-family:'DM Mono',monospace}
-  .btn{display:flex;align-items:center;justify-content:center;gap:10px;width:100%;padding:14px 20px;border-radius:12px;border:none;font-family:'Syne',sans-serif;font-size:15px;font-weight:700;cursor:pointer;text-decoration:none;margin-top:8px;transition:all .2s cubic-bezier(.16,1,.3,1)}
-  .btn-primary{background:var(--green);color:#000}
-  .btn-primary:hover{background:#00ff88;transform:translateY(-2px);box-shadow:0 8px 24px #00e67640}
-  .btn-ghost{background:#ffffff08;color:var(--text);border:1px solid var(--border)}
-  .btn-ghost:hover{background:#ffffff12;transform:translateY(-2px)}
-  .divider{height:1px;background:var(--border);margin:28px 0}
-  .endpoints{display:flex;flex-direction:column;gap:8px}
-  .ep{display:flex;align-items:center;gap:10px;padding:10px 14px;background:#ffffff04;border-radius:8px;text-decoration:none;transition:background .15s}
-  .ep:hover{background:#ffffff08}
-  .ep-method{font-size:10px;font-family:'DM Mono',monospace;font-weight:500;padding:2px 6px;border-radius:4px}
-  .get{background:#00e67618;color:var(--green)}
-  .post{background:#4488ff18;color:#4488ff}
-  .ep-path{font-size:13px;font-family:'DM Mono',monospace;color:var(--muted)}
-  @keyframes fadeUp{from{opacity:0;transform:translateY(20px)}to{opacity:1;transform:translateY(0)}}
-  @keyframes pulse{0%,100%{opacity:1}50%{opacity:.4}}
-</style>
-</head>
-<body>
-<div class="card">
-  <div class="logo">
-    <svg viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path d="M17.472 14.382c-.297-.149-1.758-.867-2.03-.967-.273-.099-.471-.148-.67.15-.197.297-.767.966-.94 1.164-.173.199-.347.223-.644.075-.297-.15-1.255-.463-2.39-1.475-.883-.788-1.48-1.761-1.653-2.059-.173-.297-.018-.458.13-.606.134-.133.298-.347.446-.52.149-.174.198-.298.298-.497.099-.198.05-.371-.025-.52-.075-.149-.669-1.612-.916-2.207-.242-.579-.487-.5-.669-.51-.173-.008-.371-.01-.57-.01-.198 0-.52.074-.792.372-.272.297-1.04 1.016-1.04 2.479 0 1.462 1.065 2.875 1.213 3.074.149.198 2.096 3.2 5.077 4.487.709.306 1.262.489 1.694.625.712.227 1.36.195 1.871.118.571-.085 1.758-.719 2.006-1.413.248-.694.248-1.289.173-1.413-.074-.124-.272-.198-.57-.347m-5.421 7.403h-.004a9.87 9.87 0 01-5.031-1.378l-.361-.214-3.741.982.998-3.648-.235-.374a9.86 9.86 0 01-1.51-5.26c.001-5.45 4.436-9.884 9.888-9.884 2.64 0 5.122 1.03 6.988 2.898a9.825 9.825 0 012.893 6.994c-.003 5.45-4.437 9.884-9.885 9.884m8.413-18.297A11.815 11.815 0 0012.05 0C5.495 0 .16 5.335.157 11.892c0 2.096.547 4.142 1.588 5.945L.057 24l6.305-1.654a11.882 11.882 0 005.683 1.448h.005c6.554 0 11.89-5.335 11.893-11.893a11.821 11.821 0 00-3.48-8.413z"/></svg>
-  </div>
-  <h1>WhatsApp Bot</h1>
-  <p class="subtitle">// production dashboard</p>
-  <div id="status-container">
-    <div class="status-row">
-      <div class="dot yellow" id="dot-client"></div>
-      <span class="status-label">client status</span>
-      <span class="status-val" id="val-client">checking...</span>
-    </div>
-    <div class="status-row">
-      <div class="dot yellow" id="dot-qr"></div>
-      <span class="status-label">qr code</span>
-      <span class="status-val" id="val-qr">checking...</span>
-    </div>
-  </div>
-  <div id="action-btn" style="margin-top:20px"></div>
-  <div class="divider"></div>
-  <div class="endpoints">
-    <a class="ep" href="/whatsapp/status"><span class="ep-method get">GET</span><span class="ep-path">/whatsapp/status</span></a>
-    <a class="ep" href="/whatsapp/login"><span class="ep-method get">GET</span><span class="ep-path">/whatsapp/login</span></a>
-    <a class="ep" href="/debug/session"><span class="ep-method get">GET</span><span class="ep-path">/debug/session</span></a>
-    <span class="ep"><span class="ep-method post">POST</span><span class="ep-path">/whatsapp/send</span></span>
-  </div>
-</div>
-<script>
-async function refresh() {
-  try {
-    const r = await fetch('/whatsapp/status');
-    const d = await r.json();
-    const dotC = document.getElementById('dot-client');
-    const valC = document.getElementById('val-client');
-    const dotQ = document.getElementById('dot-qr');
-    const valQ = document.getElementById('val-qr');
-    const btn  = document.getElementById('action-btn');
-    dotC.className = 'dot ' + (d.clientReady ? 'green' : 'red');
-    valC.textContent = d.clientReady ? 'READY' : 'NOT READY';
-    valC.style.color = d.clientReady ? 'var(--green)' : 'var(--danger)';
-    dotQ.className = 'dot ' + (d.hasQR ? 'yellow' : (d.clientReady ? 'green' : 'red'));
-    valQ.textContent = d.hasQR ? 'WAITING FOR SCAN' : (d.clientReady ? 'AUTHENTICATED' : 'NOT GENERATED');
-    if (d.hasQR) {
-      btn.innerHTML = '<a class="btn btn-primary" href="/whatsapp/login">📱 Scan QR Code</a>';
-    } else if (d.clientReady) {
-      btn.innerHTML = '<div class="btn btn-ghost" style="cursor:default">✅ Connected — No action needed</div>';
-    } else {
-      btn.innerHTML = '<div class="btn btn-ghost" style="cursor:default;color:var(--muted)">⏳ Initializing...</div>';
+
+// ─── Operator dashboard ──────────────────────────────────────────────────────
+// The console on / — sessions, the queue's pending, failed and dead-lettered
+// messages (numbers masked) with cancel and retry, a test send and the log
+// tail. Operators sign in with an admin API key; views are in pages/.
+const MESSAGE_LISTS = {
+  pending: [QueueState.SCHEDULED, QueueState.QUEUED, QueueState.SENDING],
+  failed:  [QueueState.FAILED, QueueState.EXPIRED],
+  dead:    [QueueState.DEAD],
+};
+
+app.get('/', requireOperator({ page: true }), (req, res) =>
+  res.render('dashboard', {
+    operator:   req.operator.name,
+    csrf:       req.operator.csrf,
+    sessionIds: sessions ? sessions.all().map(s => s.id) : [],
+    logLines:   LOG_TAIL_LINES,
+  })
+);
+
+app.get('/dashboard/login', (req, res) => res.render('signin', { error: null, next: safeNext(req.query.next) }));
+
+app.post('/dashboard/login', express.urlencoded({ extended: false }), async (req, res) => {
+  if (!apiKeys)
+    return res.status(503).render('signin', { error: 'Service is starting — try again shortly', next: safeNext(req.body?.next) });
+  try {
+    const key = await apiKeys.authenticate(String(req.body?.key || '').trim(), req.ip);
+    if (!hasScope(key, 'admin')) throw new ApiKeyError('This API key lacks the "admin" scope', 403);
+    res.cookie(OPERATOR_COOKIE, operators.issue(key), {
+      httpOnly: true,
+      sameSite: 'strict',
+      secure:   req.secure,
+      maxAge:   operators.ttlMs,
+    });
+    console.log(`🔐 [Dashboard] ${key.name} signed in from ${req.ip}`);
+    return res.redirect(303, safeNext(req.body?.next) || '/');
+  } catch (err) {
+    if (!(err instanceof ApiKeyError)) console.error('❌ [Dashboard] sign-in error:', err.message);
+    else console.warn(`🔐 [Dashboard] Sign-in refused from ${req.ip}: ${err.message}`);
+    return res.status(err.status || 500).render('signin', { error: err.message, next: safeNext(req.body?.next) });
+  }
+});
+
+app.post('/dashboard/logout', requireOperator(), (req, res) => {
+  res.clearCookie(OPERATOR_COOKIE);
+  console.log(`🔐 [Dashboard] ${req.operator.name} signed out`);
+  return res.json({ ok: true });
+});
+
+// ?list=pending|failed|dead, optionally &session=<id>
+app.get('/dashboard/messages', requireOperator(), async (req, res) => {
+  const states = MESSAGE_LISTS[req.query.list || 'pending'];
+  if (!states)
+    return res.status(400).json({ ok: false, error: `list must be one of ${Object.keys(MESSAGE_LISTS).join(', ')}` });
+  if (!queue)
+    return res.status(503).json({ ok: false, error: 'Service is starting — try again shortly' });
+  try {
+    const items = await queue.list({ states, sessionId: req.query.session, limit: req.query.limit });
+    return res.json({ ok: true, items: items.map(item => ({ ...item, phone: maskPhone(item.phone) })) });
+  } catch (err) {
+    return res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+app.post('/dashboard/messages/:id/cancel', requireOperator(), async (req, res) => {
+  if (!queue)
+    return res.status(503).json({ ok: false, error: 'Service is starting — try again shortly' });
+  try {
+    const item = await queue.cancel(req.params.id);
+    if (!item) {
+      const current = await queue.get(req.params.id);
+      if (!current) return res.status(404).json({ ok: false, error: 'Message not found' });
+      return res.status(409).json({ ok: false, error: `Message is already ${current.state}`, state: current.state });
+    }
+    if (item.media) await mediaStore?.remove(item.media.id);
+    if (item.campaignId) await campaigns?.recordResult(item._id, { state: RecipientState.CANCELLED });
+    console.log(`🚫 [Queue] Cancelled id=${item._id} by ${req.operator.name} (dashboard)`);
+    streamQueueDepth(item.sessionId);
+    return res.json({ ok: true, id: item._id, state: item.state });
+  } catch (err) {
+    return res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+// Failed and dead-lettered messages go back in the queue with fresh attempts
+app.post('/dashboard/messages/:id/retry', requireOperator(), async (req, res) => {
+  if (!queue)
+    return res.status(503).json({ ok: false, error: 'Service is starting — try again shortly' });
+  try {
+    const blocked = await unsendableReason(req.params.id);
+    if (blocked) return res.status(409).json({ ok: false, error: `Message cannot be retried — ${blocked}` });
+    const item = await queue.retry(req.params.id);
+    if (!item) {
+      const current = await queue.get(req.params.id);
+      if (!current) return res.status(404).json({ ok: false, error: 'Message not found' });
+      const why = current.kind === 'otp' ? 'one-time codes are not resent, request a new one'
+        : ['failed', 'dead'].includes(current.state) ? 'it has expired' : `it is ${current.state}`;
+      return res.status(409).json({ ok: false, error: `Message cannot be retried — ${why}`, state: current.state });
     }
-  } catch(e) {}
-}
-refresh();
-setInterval(refresh, 4000);
-</script>
-</body></html>`));
-
-app.get('/whatsapp/login', async (_req, res) => {
-  if (clientReady) return res.send(`<!DOCTYPE html>
-<html lang="en"><head><meta charset="UTF-8"/><title>Already Connected</title>
-<link href="https://fonts.googleapis.com/css2?family=Syne:wght@700;800&family=DM+Mono&display=swap" rel="stylesheet"/>
-<style>*{margin:0;padding:0;box-sizing:border-box}body{background:#0a0a0a;color:#f0f0f0;font-family:'Syne',sans-serif;min-height:100vh;display:flex;align-items:center;justify-content:center}body::before{content:'';position:fixed;inset:0;background-image:linear-gradient(#1e1e1e 1px,transparent 1px),linear-gradient(90deg,#1e1e1e 1px,transparent 1px);background-size:40px 40px;opacity:.4}.card{background:#111;border:1px solid #1e1e1e;border-radius:20px;padding:48px;text-align:center;max-width:380px;width:100%;animation:fadeUp .5s both}.icon{font-size:56px;margin-bottom:24px}h1{font-size:24px;font-weight:800;letter-spacing:-1px;color:#00e676;margin-bottom:8px}p{color:#555;font-family:'DM Mono',monospace;font-size:13px;margin-bottom:32px}a{display:inline-block;padding:12px 28px;background:#00e67618;color:#00e676;border:1px solid #00e67633;border-radius:10px;text-decoration:none;font-weight:700;font-size:14px;transition:all .2s}a:hover{background:#00e67628;transform:translateY(-2px)}@keyframes fadeUp{from{opacity:0;transform:translateY(16px)}to{opacity:1;transform:translateY(0)}}</style>
-</head><body><div class="card"><div class="icon">✅</div><h1>Already Connected</h1><p>// whatsapp client is ready</p><a href="/">← Back to Dashboard</a></div></body></html>`);
-
-  if (!qrValue) return res.send(`<!DOCTYPE html>
-<html lang="en"><head><meta charset="UTF-8"/><title>Initializing...</title>
-<link href="https://fonts.googleapis.com/css2?family=Syne:wght@700;800&family=DM+Mono&display=swap" rel="stylesheet"/>
-<style>*{margin:0;padding:0;box-sizing:border-box}body{background:#0a0a0a;color:#f0f0f0;font-family:'Syne',sans-serif;min-height:100vh;display:flex;align-items:center;justify-content:center}body::before{content:'';position:fixed;inset:0;background-image:linear-gradient(#1e1e1e 1px,transparent 1px),linear-gradient(90deg,#1e1e1e 1px,transparent 1px);background-size:40px 40px;opacity:.4}.card{background:#111;border:1px solid #1e1e1e;border-radius:20px;padding:48px;text-align:center;max-width:380px;width:100%;animation:fadeUp .5s both}.spinner{width:48px;height:48px;border:2px solid #1e1e1e;border-top-color:#ffd600;border-radius:50%;animation:spin 1s linear infinite;margin:0 auto 24px}h1{font-size:22px;font-weight:800;letter-spacing:-1px;color:#ffd600;margin-bottom:8px}p{color:#555;font-family:'DM Mono',monospace;font-size:13px;margin-bottom:32px}a{display:inline-block;padding:12px 28px;background:#ffffff08;color:#f0f0f0;border:1px solid #1e1e1e;border-radius:10px;text-decoration:none;font-weight:700;font-size:14px;transition:all .2s}a:hover{background:#ffffff12}@keyframes spin{to{transform:rotate(360deg)}}@keyframes fadeUp{from{opacity:0;transform:translateY(16px)}to{opacity:1;transform:translateY(0)}}</style>
-<meta http-equiv="refresh" content="5"/></head><body><div class="card"><div class="spinner"></div><h1>Initializing...</h1><p>// waiting for qr code generation</p><a href="/">← Back to Dashboard</a></div></body></html>`);
-
-  qr2.toDataURL(qrValue, (err, src) => {
+    console.log(`♻️  [Queue] Retried id=${item._id} by ${req.operator.name} (dashboard)`);
+    streamQueueDepth(item.sessionId);
+    return res.json({ ok: true, id: item._id, state: item.state });
+  } catch (err) {
+    return res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+// Body: { phone, message, session? } — queued like any other message
+app.post('/dashboard/send', requireOperator(), normalizePhoneField, async (req, res) => {
+  const { phone, message, session } = req.body || {};
+  if (!phone || !message)
+    return res.status(400).json({ ok: false, error: 'phone & message required' });
+  if (!queue || !sessions)
+    return res.status(503).json({ ok: false, error: 'Service is starting — try again shortly' });
+  try {
+    const result = await enqueueMessage(phone, String(message), { session, kind: 'test' });
+    console.log(`🧪 [Dashboard] Test message id=${result.id} queued by ${req.operator.name}`);
+    return res.json({ ok: true, ...result });
+  } catch (err) {
+    if (err instanceof SessionError || err instanceof PhoneError)
+      return res.status(err.status).json({ ok: false, error: err.message });
+    return res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+// Server-Sent Events: the last LOG_TAIL_LINES console lines, then new ones
+app.get('/dashboard/logs', requireOperator(), (req, res) =>
+  logStream.subscribe(req, res, { snapshot: logTail.lines().map(line => ['log', line]) })
+);
+
+// Server-Sent Events: session states, queue depths and send results for the
+// dashboard. It shows no QR, so those stay on the login pages.
+app.get('/dashboard/events', requireOperator(), (req, res) =>
+  events.subscribe(req, res, { omit: LOGIN_EVENTS, snapshot: streamSnapshot(sessions?.all() || []) })
+);
+
+// QR / status page for one session — views in pages/
+function renderLogin(session, res) {
+  const live = { sessionId: session?.id, state: session?.state };
+  if (session?.ready) return res.render('connected', live);
+  if (session?.pairing?.code) return res.render('pairing', {
+    ...live,
+    phone: maskPhone(session.pairing.phone),
+    code:  formatPairingCode(session.pairing.code),
+  });
+  if (!session?.qrValue) return res.render('initializing', live);
+
+  qr2.toDataURL(session.qrValue, (err, img) => {
     if (err) return res.status(500).send('Error generating QR');
-    return res.send(`<!DOCTYPE html>
-<html lang="en"><head><meta charset="UTF-8"/><title>Scan QR Code</title>
-<link href="https://fonts.googleapis.com/css2?family=Syne:wght@400;700;800&family=DM+Mono&display=swap" rel="stylesheet"/>
-<style>*{margin:0;padding:0;box-sizing:border-box}:root{--bg:#0a0a0a;--surface:#111;--border:#1e1e1e;--green:#00e676;--text:#f0f0f0;--muted:#555}body{background:var(--bg);color:var(--text);font-family:'Syne',sans-serif;min-height:100vh;display:flex;align-items:center;justify-content:center;padding:24px}body::before{content:'';position:fixed;inset:0;background-image:linear-gradient(var(--border) 1px,transparent 1px),linear-gradient(90deg,var(--border) 1px,transparent 1px);background-size:40px 40px;opacity:.4;pointer-events:none}.card{background:var(--surface);border:1px solid var(--border);border-radius:20px;padding:40px;max-width:420px;width:100%;text-align:center;animation:fadeUp .6s cubic-bezier(.16,1,.3,1) both}.badge{display:inline-flex;align-items:center;gap:6px;padding:6px 14px;background:#ffd60018;border:1px solid #ffd60033;border-radius:100px;font-size:12px;font-family:'DM Mono',monospace;color:#ffd600;margin-bottom:28px}.badge-dot{width:6px;height:6px;border-radius:50%;background:#ffd600;animation:pulse 1.5s infinite}h1{font-size:26px;font-weight:800;letter-spacing:-1px;margin-bottom:8px}.subtitle{color:var(--muted);font-size:13px;font-family:'DM Mono',monospace;margin-bottom:28px}.qr-wrap{background:#fff;border-radius:16px;padding:20px;display:inline-block;box-shadow:0 0 0 1px #ffffff15,0 0 40px #00e67620;margin-bottom:28px}.qr-wrap img{display:block;width:220px;height:220px;border-radius:4px}.steps{text-align:left;background:#ffffff05;border:1px solid var(--border);border-radius:12px;padding:20px;margin-bottom:24px}.step{display:flex;gap:12px;align-items:flex-start;margin-bottom:12px}.step:last-child{margin-bottom:0}.step-num{width:22px;height:22px;background:var(--green);color:#000;border-radius:6px;display:flex;align-items:center;justify-content:center;font-size:11px;font-weight:800;flex-shrink:0;margin-top:1px}.step-text{font-size:13px;color:var(--muted);line-height:1.5}.step-text strong{color:var(--text)}.refresh-bar{height:3px;background:var(--border);border-radius:2px;overflow:hidden;margin-bottom:20px}.refresh-bar-fill{height:100%;background:var(--green);border-radius:2px;animation:shrink 30s linear forwards}a{display:flex;align-items:center;justify-content:center;gap:8px;padding:13px;background:#ffffff08;border:1px solid var(--border);border-radius:12px;text-decoration:none;color:var(--text);font-weight:700;font-size:14px;transition:all .2s}a:hover{background:#ffffff12;transform:translateY(-2px)}@keyframes fadeUp{from{opacity:0;transform:translateY(20px)}to{opacity:1;transform:translateY(0)}}@keyframes pulse{0%,100%{opacity:1}50%{opacity:.3}}@keyframes shrink{from{width:100%}to{width:0%}}</style>
-<meta http-equiv="refresh" content="30"/></head><body>
-<div class="card">
-  <div class="badge"><span class="badge-dot"></span>waiting for scan</div>
-  <h1>Scan to Connect</h1>
-  <p class="subtitle">// open whatsapp on your phone</p>
-  <div class="qr-wrap"><img src="${src}" alt="QR Code"/></div>
-  <div class="steps">
-    <div class="step"><div class="step-num">1</div><div class="step-text">Open <strong>WhatsApp</strong> on your phone</div></div>
-    <div class="step"><div class="step-num">2</div><div class="step-text">Go to <strong>Settings → Linked Devices</strong></div></div>
-    <div class="step"><div class="step-num">3</div><div class="step-text">Tap <strong>Link a Device</strong> and scan this QR</div></div>
-  </div>
-  <div class="refresh-bar"><div class="refresh-bar-fill"></div></div>
-  <a href="/">← Back to Dashboard</a>
-</div></body></html>`);
+    return res.render('scan', { ...live, img });
   });
-});
+}
 
-app.get('/whatsapp/status', (_req, res) =>
-  res.json({ ok: true, clientReady, hasQR: !!qrValue })
+// Events that carry what it takes to link a number
+const LOGIN_EVENTS = ['qr', 'pairing_code'];
+
+// What a new /events subscriber starts from
+async function streamSnapshot(selected) {
+  const snapshot = [];
+  try {
+    for (const session of selected) {
+      const { state, stateSince: at } = session.status();
+      snapshot.push(['state', { sessionId: session.id, from: null, to: state, reason: 'snapshot', at }]);
+      if (session.qrValue && !session.pairing) snapshot.push(['qr', await qrEvent(session.id, session.qrValue)]);
+      if (session.pairing?.code) snapshot.push(['pairing_code', { sessionId: session.id, code: formatPairingCode(session.pairing.code) }]);
+      if (queue) snapshot.push(['queue', { sessionId: session.id, depth: await queue.depth(session.id) }]);
+    }
+  } catch (err) {
+    console.error('❌ [Stream] snapshot error:', err.message);
+  }
+  return snapshot;
+}
+
+// "ABCDEFGH" → "ABCD-EFGH", the way WhatsApp shows it on the phone
+function formatPairingCode(code) {
+  const text = String(code);
+  return /^[A-Z0-9]{8}$/i.test(text) ? `${text.slice(0, 4)}-${text.slice(4)}` : text;
+}
+
+// Default session — kept for existing integrations. Login pages show what it
+// takes to link the number, so they are for signed-in operators only.
+app.get('/whatsapp/login', requireOperator({ page: true }), (_req, res) => renderLogin(sessions?.default, res));
+
+// Liveness for the platform: the process is up and serving requests
+app.get('/healthz', (_req, res) =>
+  res.json({ ok: true, uptime: Math.round(process.uptime()) })
 );
 
-app.get('/debug/session', async (_req, res) => {
+// Readiness: boot finished and the session can send right now (READY and
+// answering the watchdog). ?session=<id> checks another session.
+app.get('/readyz', (req, res) => {
+  const session = sessions?.get(req.query.session || DEFAULT_SESSION_ID);
+  const ready   = !!session?.canSend;
+  return res.status(ready ? 200 : 503).json({
+    ok:        ready,
+    sessionId: session?.id,
+    state:     session?.state || ClientState.BOOTING,
+    health:    session?.health,
+  });
+});
+
+// `state` and `history` describe the default session; before boot has
+// created the sessions the state is BOOTING
+app.get('/whatsapp/status', requireScope('read-status'), (_req, res) => {
+  const current = sessions?.default?.status({ historyLimit: 20 });
+  return res.json({
+    ok:          true,
+    state:       current?.state || ClientState.BOOTING,
+    stateSince:  current?.stateSince,
+    clientReady: !!current?.clientReady,
+    hasQR:       !!current?.hasQR,
+    hasPairingCode: !!current?.hasPairingCode,
+    booting:     isBooting,
+    bootError:   lastBootError,
+    history:     current?.history || [],
+    sessions:    sessions ? sessions.all().map(s => s.status()) : [],
+  });
+});
+
+// Live updates (Server-Sent Events, see src/stream.js) for API clients with
+// the read-status scope. ?session=<id> limits the stream to one session.
+// Starts with each session's state, current QR and queue depth. QR codes and
+// pairing codes log a number in, so only admin keys get them.
+app.get('/events', requireScope('read-status'), (req, res) => {
+  const sessionId = req.query.session ? String(req.query.session) : null;
+  const selected  = (sessions?.all() || []).filter(s => !sessionId || s.id === sessionId);
+  const omit      = hasScope(req.apiKey, 'admin') ? [] : LOGIN_EVENTS;
+  events.subscribe(req, res, { sessionId, omit, snapshot: streamSnapshot(selected) });
+});
+
+// The login page's own stream: one session, for a signed-in operator
+app.get('/sessions/:id/events', requireOperator(), (req, res) => {
+  const session = sessions?.get(req.params.id);
+  if (!session) return res.status(404).json({ ok: false, error: `Session "${req.params.id}" not found` });
+  events.subscribe(req, res, { sessionId: session.id, snapshot: streamSnapshot([session]) });
+});
+
+// Prometheus scrape target. Off unless METRICS_TOKEN is set; send it as
+// "Authorization: Bearer <token>" — API keys are not accepted here.
+app.get('/metrics', async (req, res) => {
+  if (!METRICS_TOKEN) return res.status(404).send('Metrics are disabled — set METRICS_TOKEN');
+  const auth = req.headers.authorization || '';
+  if (!metrics.authorize(auth.startsWith('Bearer ') ? auth.slice(7).trim() : ''))
+    return res.status(401).set('WWW-Authenticate', 'Bearer').send('Unauthorized');
   try {
-    const sessionKey = `RemoteAuth-${CLIENT_ID}`;
+    res.set('Content-Type', metrics.contentType);
+    return res.send(await metrics.render());
+  } catch (err) {
+    console.error('❌ [Metrics] error:', err.message);
+    return res.status(500).send(err.message);
+  }
+});
+
+app.get('/debug/session', requireScope('admin'), async (req, res) => {
+  try {
+    const session    = sessions?.get(req.query.session || DEFAULT_SESSION_ID);
+    const sessionKey = `RemoteAuth-${req.query.session || DEFAULT_SESSION_ID}`;
     const exists     = store ? await store.sessionExists({ session: sessionKey }) : false;
-    return res.json({ ok: true, sessionKey, exists, clientReady, hasQR: !!qrValue });
+    return res.json({ ok: true, sessionKey, exists, clientReady: !!session?.ready, hasQR: !!session?.qrValue });
   } catch (err) {
     return res.status(500).json({ ok: false, error: err.message });
   }
 });
 
+// ─── Sessions ────────────────────────────────────────────────────────────────
+app.get('/sessions', requireScope('read-status'), (_req, res) =>
+  withSessions(res, async () => ({ defaultId: sessions.defaultId, sessions: sessions.all().map(s => s.status()) }))
+);
+
+// Register a new number; its QR appears on /sessions/:id/login
+app.post('/sessions', requireScope('admin'), (req, res) =>
+  withSessions(res, async () => {
+    const session = await sessions.create(req.body || {});
+    console.log(`➕ [Sessions] Created "${session.id}"`);
+    return { session: session.status() };
+  })
+);
+
+app.patch('/sessions/:id', requireScope('admin'), (req, res) =>
+  withSessions(res, async () => ({ session: (await sessions.update(req.params.id, req.body || {})).status() }))
+);
+
+// Stop and unregister a session. ?wipe=true also deletes its saved login.
+app.delete('/sessions/:id', requireScope('admin'), (req, res) =>
+  withSessions(res, async () => {
+    requireSession(req.params.id).assertIdle();
+    const session = await sessions.remove(req.params.id);
+    await metrics.dropSession(session.id);
+    const failed  = await queue.failPending(session.id, 'session removed');
+    for (const item of failed) {
+      if (item.media) await mediaStore?.remove(item.media.id);
+      reportSend('message.failed', {
+        id: item._id, sessionId: item.sessionId, phone: item.phone, kind: item.kind,
+        error: 'session removed', attempts: item.attempts, willRetry: false,
+      });
+    }
+    const wiped = req.query.wipe === 'true' && await store.delete({ session: session.sessionKey });
+    console.log(`➖ [Sessions] Removed "${session.id}" (${failed.length} queued item(s) failed)`);
+    return { deleted: true, failedItems: failed.length, wiped };
+  })
+);
+
+app.get('/sessions/:id/login', requireOperator({ page: true }), (req, res) => {
+  const session = sessions?.get(req.params.id);
+  if (sessions && !session) return res.status(404).send('Unknown session');
+  return renderLogin(session, res);
+});
+
+// Link by pairing code instead of QR. Body: { phone } — the number being
+// linked. The code is returned here and shown on /sessions/:id/login.
+app.post('/sessions/:id/pairing-code', requireScope('admin'), normalizePhoneField, (req, res) =>
+  withSessions(res, async () => {
+    const session = requireSession(req.params.id);
+    if (!req.body?.phone) throw new SessionError('phone is required');
+    const { code, requestedAt } = await session.requestPairingCode(req.body.phone);
+    return { sessionId: session.id, state: session.state, pairingCode: formatPairingCode(code), requestedAt };
+  })
+);
+
+app.get('/sessions/:id/status', requireScope('read-status'), (req, res) =>
+  withSessions(res, async () => {
+    const session = sessions.get(req.params.id);
+    if (!session) throw new SessionError(`Session "${req.params.id}" not found`, 404);
+    return session.status({ historyLimit: 20 });
+  })
+);
+
+// ─── Session backups ─────────────────────────────────────────────────────────
+// Saved logins are versioned — see src/store.js. Pinning or rolling back
+// restarts the session so it restores that version; ?restart=false skips it.
+app.get('/sessions/:id/backups', requireScope('admin'), (req, res) =>
+  withSessions(res, async () => {
+    const session = requireSession(req.params.id);
+    return { sessionId: session.id, versions: await store.versions(session.sessionKey) };
+  })
+);
+
+app.post('/sessions/:id/backups/:version/pin', requireScope('admin'), (req, res) =>
+  withSessions(res, async () => {
+    const session = requireSession(req.params.id);
+    if (req.query.restart !== 'false') session.assertIdle();
+    const version = await store.pin(session.sessionKey, req.params.version);
+    return { pinned: version, restarting: restartForBackup(session, req) };
+  })
+);
+
+app.delete('/sessions/:id/backups/pin', requireScope('admin'), (req, res) =>
+  withSessions(res, async () => {
+    const session = requireSession(req.params.id);
+    return { unpinned: await store.unpin(session.sessionKey) };
+  })
+);
+
+app.post('/sessions/:id/backups/:version/rollback', requireScope('admin'), (req, res) =>
+  withSessions(res, async () => {
+    const session = requireSession(req.params.id);
+    if (req.query.restart !== 'false') session.assertIdle();
+    const version = await store.rollback(session.sessionKey, req.params.version);
+    return { current: version, restarting: restartForBackup(session, req) };
+  })
+);
+
+function requireSession(id) {
+  const session = sessions.get(id);
+  if (!session) throw new SessionError(`Session "${id}" not found`, 404);
+  return session;
+}
+
+function restartForBackup(session, req) {
+  if (req.query.restart === 'false') return false;
+  session.runOperation('restart', lifecycleSteps(session, 'restart'));
+  return true;
+}
+
+// ─── Session lifecycle ───────────────────────────────────────────────────────
+// One operation at a time per session (409 otherwise). The POST answers as
+// soon as the operation starts; follow it on GET /sessions/:id/operation, or
+// pass ?wait=true to get the finished operation back instead.
+//   restart  stop the client and start it again from the saved login
+//   save     store a backup of the session now (main.js did this 5s after ready)
+//   logout   unlink the device, delete the saved login, start over with a QR
+//   wipe     stop, delete the saved login and the local profile, start over
+function lifecycleSteps(session, action) {
+  const remote = { session: session.sessionKey };
+  const removeSaved = async () => {
+    if (!await store.delete(remote)) throw new Error('the saved login could not be deleted — see the log');
+  };
+  const start  = async () => {
+    await session.start();
+    if (session.state === ClientState.FAILED) throw new Error('client failed to start — see the state history');
+  };
+  const steps = {
+    restart: [
+      ['stop client',  () => session.stop()],
+      ['start client', start],
+    ],
+    save: [
+      ['save session', () => session.backup()],
+    ],
+    logout: [
+      ['log out',            () => session.logout()],
+      ['delete saved login', removeSaved],
+      ['start client',       start],
+    ],
+    wipe: [
+      ['stop client',          () => session.stop()],
+      ['delete saved login',   removeSaved],
+      ['delete local profile', () => session.wipeLocal()],
+      ['start client',         start],
+    ],
+  };
+  return steps[action];
+}
+
+app.post('/sessions/:id/:action(restart|save|logout|wipe)', requireScope('admin'), (req, res) =>
+  withSessions(res, async () => {
+    const session = requireSession(req.params.id);
+    const done    = session.runOperation(req.params.action, lifecycleSteps(session, req.params.action));
+    if (req.query.wait === 'true') await done;
+    return { operation: session.operation };
+  })
+);
+
+app.get('/sessions/:id/operation', requireScope('admin'), (req, res) =>
+  withSessions(res, async () => ({ operation: requireSession(req.params.id).operation }))
+);
+
+app.get('/sessions/:id/queue/status', requireScope('read-status'), (req, res) =>
+  withSessions(res, async () => {
+    if (!sessions.get(req.params.id)) throw new SessionError(`Session "${req.params.id}" not found`, 404);
+    const { counts, items, scheduled } = await queue.status({ sessionId: req.params.id });
+    return { sessionId: req.params.id, queueSize: counts.queued, running: queueRunning, counts, items, scheduled };
+  })
+);
+
+async function withSessions(res, fn) {
+  if (!sessions || !queue)
+    return res.status(503).json({ ok: false, error: 'Service is starting — try again shortly' });
+  try {
+    return res.json({ ok: true, ...(await fn()) });
+  } catch (err) {
+    if (err instanceof SessionError || err instanceof StoreError)
+      return res.status(err.status).json({ ok: false, error: err.message });
+    console.error('❌ [Sessions] error:', err.message);
+    return res.status(500).json({ ok: false, error: err.message });
+  }
+}
+
 // Enqueue a message — returns immediately with position + id
-app.post('/whatsapp/send', (req, res) => {
-  if (WHATSAPP_API_PASSWORD && req.headers['x-password'] !== WHATSAPP_API_PASSWORD)
-    return res.status(401).json({ ok: false, error: 'Invalid password' });
+// Body: { phone, message } or { phone, template, locale?, vars? }, optionally
+// with an attachment — multipart field "file", or media: { url } or
+// { data, mimetype?, filename? }. With an attachment the text is its caption.
+// `sendAt` delays the message, `expiresAt` drops it if it could not go out
+// in time. /whatsapp/sendmessage is the name older integrations use.
+app.post(['/whatsapp/send', '/whatsapp/sendmessage'], requireScope('send'), parseUpload, normalizePhoneField, idempotent('send'), rateLimit, async (req, res) => {
+  const { phone, template, locale, session, filename } = req.body;
+  const message  = req.body.message ?? req.body.caption;
+  const vars     = parseJsonField(req.body.vars);
+  const media    = parseJsonField(req.body.media);
+  const hasMedia = !!(req.file || media);
+  if (!phone || !(message || template || hasMedia))
+    return res.status(400).json({ ok: false, error: 'phone & message, template or media required' });
+  if (message && template)
+    return res.status(400).json({ ok: false, error: 'send either message or template, not both' });
+  const schedule = parseSchedule(req.body);
+  if (schedule.error)
+    return res.status(400).json({ ok: false, error: schedule.error });
+  if (!queue || !sessions || !templates || !mediaStore)
+    return res.status(503).json({ ok: false, error: 'Service is starting — try again shortly' });
 
-  const { phone, message } = req.body;
-  if (!phone || !message)
-    return res.status(400).json({ ok: false, error: 'phone & message required' });
+  try {
+    let text  = message || '';
+    let extra = {};
+    if (template) {
+      const rendered = await templates.render(String(template), { locale, vars });
+      text  = rendered.text;
+      extra = { template: String(template), locale: rendered.locale };
+    }
 
-  const id       = `${Date.now()}-${Math.random().toString(36).slice(2, 7)}`;
-  const position = messageQueue.length + 1;
+    // Check the attachment and the recipient before storing anything
+    const prepared  = hasMedia ? await mediaStore.prepare({ file: req.file, media, filename }) : null;
+    const recipient = await resolveRecipient(phone, session);
+    if (prepared) {
+      extra.media = await mediaStore.save(prepared);
+      if (isTrue(req.body.voice ?? media?.voice) && prepared.mimetype.startsWith('audio/')) extra.voice = true;
+    }
 
-  messageQueue.push({ id, phone, message, queuedAt: new Date() });
-  console.log(`📨 [Queue] Enqueued id=${id} phone=${phone} position=${position} queueSize=${messageQueue.length}`);
+    const { id, sessionId, state, position, queueSize } = await enqueueMessage(phone, text, {
+      recipient, ...extra, sendAt: schedule.sendAt, expiresAt: schedule.expiresAt,
+    });
+    return res.json({
+      ok: true, queued: true, id, sessionId, state, position, queueSize, ...extra,
+      sendAt: schedule.sendAt ?? undefined, expiresAt: schedule.expiresAt ?? undefined,
+    });
+  } catch (err) {
+    if (err instanceof SessionError || err instanceof TemplateError)
+      return res.status(err.status).json({ ok: false, error: err.message });
+    if (err instanceof PhoneError || err instanceof MediaError)
+      return res.status(err.status).json({ ok: false, error: err.message, code: err.code });
+    console.error('❌ [Queue] enqueue error:', err.message);
+    return res.status(500).json({ ok: false, error: err.message });
+  }
+});
 
-  return res.json({ ok: true, queued: true, id, position, queueSize: messageQueue.length });
+// sendAt / expiresAt as ISO strings or epoch milliseconds. Returns
+// { sendAt, expiresAt } (null when absent) or { error }.
+function parseSchedule({ sendAt, expiresAt }) {
+  const parse = (value) => {
+    if (value === undefined || value === null || value === '') return null;
+    const date = new Date(/^\d+$/.test(String(value)) ? Number(value) : value);
+    return isNaN(date) ? undefined : date;
+  };
+  const at    = parse(sendAt);
+  const until = parse(expiresAt);
+  if (at === undefined)    return { error: 'sendAt must be an ISO date or epoch milliseconds' };
+  if (until === undefined) return { error: 'expiresAt must be an ISO date or epoch milliseconds' };
+  if (until && until <= new Date())  return { error: 'expiresAt is already in the past' };
+  if (until && at && until <= at)    return { error: 'expiresAt must be later than sendAt' };
+  return { sendAt: at, expiresAt: until };
+}
+
+// Multipart sends booleans as "true"
+function isTrue(value) {
+  return value === true || String(value).toLowerCase() === 'true';
+}
+
+// Issue a one-time code and queue it for delivery
+app.post('/whatsapp/otp/request', requireScope('otp'), normalizePhoneField, idempotent('otp'), rateLimit, async (req, res) => {
+  const { phone, purpose = 'default', session, template = OTP_TEMPLATE, locale, vars = {} } = req.body;
+  if (!phone)
+    return res.status(400).json({ ok: false, error: 'phone required' });
+  if (!otp || !queue || !sessions || !templates)
+    return res.status(503).json({ ok: false, error: 'Service is starting — try again shortly' });
+
+  try {
+    const { id, sessionId, position, queueSize, expiresAt } = await issueOtp(phone, {
+      purpose: String(purpose), session, template: String(template), locale, vars,
+    });
+    return res.json({ ok: true, queued: true, id, sessionId, position, queueSize, expiresAt });
+  } catch (err) {
+    return sendOtpError(res, err);
+  }
 });
 
-// Queue status endpoint
-app.get('/whatsapp/queue/status', (_req, res) => {
-  res.json({
-    ok:        true,
-    queueSize: messageQueue.length,
-    running:   queueRunning,
-    items:     messageQueue.map(({ id, phone, queuedAt }) => ({ id, phone, queuedAt })),
+// Issue a code and queue its message. The recipient is resolved and the
+// template dry-run first, so a bad session, unknown number or broken template
+// doesn't burn a code. Also used by the "resend my code" auto-reply.
+async function issueOtp(phone, { purpose = 'default', session, template = OTP_TEMPLATE, locale, vars = {}, recipient } = {}) {
+  const minutes = Math.ceil(otp.ttlMs / 60_000);
+  recipient ??= await resolveRecipient(phone, session);
+  await templates.render(template, { locale, vars: { ...vars, code: '', minutes } });
+
+  const { code, expiresAt } = await otp.issue(phone, purpose, { template, locale: locale ?? null, vars });
+  const rendered = await templates.render(template, { locale, vars: { ...vars, code, minutes } });
+  // A code that can no longer be used is not worth delivering late
+  const result   = await enqueueMessage(phone, rendered.text, {
+    kind: 'otp', recipient, template, locale: rendered.locale, expiresAt,
   });
+  console.log(`🔐 [OTP] Issued purpose=${purpose} phone=${maskPhone(phone)} id=${result.id}`);
+  return { ...result, expiresAt };
+}
+
+// Check a submitted code — single use, constant-time compare, attempt-limited
+app.post('/whatsapp/otp/verify', requireScope('otp'), normalizePhoneField, rateLimitVerify, async (req, res) => {
+  const { phone, code, purpose = 'default' } = req.body;
+  if (!phone || !code)
+    return res.status(400).json({ ok: false, error: 'phone & code required' });
+  if (!otp)
+    return res.status(503).json({ ok: false, error: 'Service is starting — try again shortly' });
+
+  try {
+    await otp.verify(phone, String(code), String(purpose));
+    console.log(`🔓 [OTP] Verified purpose=${purpose} phone=${maskPhone(phone)}`);
+    return res.json({ ok: true, verified: true });
+  } catch (err) {
+    return sendOtpError(res, err);
+  }
 });
 
-// ─── Queue Processor ─────────────────────────────────────────────────────────
-function startQueueProcessor() {
-  if (queueRunning) return;
-  queueRunning = true;
-  console.log(`⏱️  [Queue] Processor started — interval ${QUEUE_INTERVAL / 1000}s`);
+function sendOtpError(res, err) {
+  if (err instanceof SessionError || err instanceof TemplateError)
+    return res.status(err.status).json({ ok: false, error: err.message });
+  if (err instanceof PhoneError)
+    return res.status(err.status).json({ ok: false, error: err.message, code: err.code });
+  if (!(err instanceof OtpError)) {
+    console.error('❌ [OTP] error:', err.message);
+    return res.status(500).json({ ok: false, error: err.message });
+  }
+  if (err.retryAfter) res.set('Retry-After', String(err.retryAfter));
+  const { code, retryAfter, attemptsRemaining } = err;
+  return res.status(err.status).json({ ok: false, error: err.message, code, retryAfter, attemptsRemaining });
+}
+
+// Queue status endpoint — reports the persistent backlog
+app.get('/whatsapp/queue/status', requireScope('read-status'), async (_req, res) => {
+  if (!queue)
+    return res.json({ ok: true, queueSize: 0, running: queueRunning, counts: {}, items: [], scheduled: [] });
 
-  setInterval(async () => {
-    if (messageQueue.length === 0) return;
-    if (!clientReady) {
-      console.warn(`⚠️  [Queue] Client not ready — skipping tick (${messageQueue.length} items waiting)`);
-      return;
+  try {
+    const { counts, items, scheduled } = await queue.status();
+    return res.json({ ok: true, queueSize: counts.queued, running: queueRunning, counts, items, scheduled });
+  } catch (err) {
+    return res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+// Delivery state of one queued message (id returned by /whatsapp/send)
+app.get('/whatsapp/messages/:id', requireScope('read-status'), async (req, res) => {
+  if (!queue)
+    return res.status(503).json({ ok: false, error: 'Service is starting — try again shortly' });
+
+  try {
+    const item = await queue.get(req.params.id);
+    if (!item) return res.status(404).json({ ok: false, error: 'Message not found' });
+    return res.json({ ok: true, ...item });
+  } catch (err) {
+    return res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+// Cancel a message that is still scheduled or queued
+app.delete('/whatsapp/messages/:id', requireScope('send'), async (req, res) => {
+  if (!queue)
+    return res.status(503).json({ ok: false, error: 'Service is starting — try again shortly' });
+
+  try {
+    const item = await queue.cancel(req.params.id);
+    if (!item) {
+      const current = await queue.get(req.params.id);
+      if (!current) return res.status(404).json({ ok: false, error: 'Message not found' });
+      return res.status(409).json({ ok: false, error: `Message is already ${current.state}`, state: current.state });
     }
+    if (item.media) await mediaStore?.remove(item.media.id);
+    if (item.campaignId) await campaigns?.recordResult(item._id, { state: RecipientState.CANCELLED });
+    console.log(`🚫 [Queue] Cancelled id=${item._id} by ${req.apiKey.name}`);
+    return res.json({ ok: true, id: item._id, state: item.state, cancelledAt: item.cancelledAt });
+  } catch (err) {
+    return res.status(500).json({ ok: false, error: err.message });
+  }
+});
 
-    // Drain the whole queue in this tick, one message per second
-    const batch = messageQueue.splice(0, messageQueue.length);
-    console.log(`📤 [Queue] Processing ${batch.length} message(s)...`);
+// ─── Dead letters ────────────────────────────────────────────────────────────
+// Messages that failed permanently or ran out of attempts
+app.get('/whatsapp/dead-letters', requireScope('read-status'), async (req, res) => {
+  if (!queue)
+    return res.status(503).json({ ok: false, error: 'Service is starting — try again shortly' });
+  try {
+    const { session, limit } = req.query;
+    return res.json({ ok: true, items: await queue.deadLetters({ sessionId: session, limit }) });
+  } catch (err) {
+    return res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+// Put a dead letter back in the queue with a fresh set of attempts
+app.post('/whatsapp/dead-letters/:id/replay', requireScope('admin'), async (req, res) => {
+  if (!queue)
+    return res.status(503).json({ ok: false, error: 'Service is starting — try again shortly' });
+  try {
+    const blocked = await unsendableReason(req.params.id);
+    if (blocked) return res.status(409).json({ ok: false, error: `Message cannot be replayed — ${blocked}` });
+    const item = await queue.replay(req.params.id);
+    if (!item) {
+      const current = await queue.get(req.params.id);
+      if (!current) return res.status(404).json({ ok: false, error: 'Message not found' });
+      const why = current.state !== 'dead' ? `it is ${current.state}, not dead`
+        : current.kind === 'otp' ? 'one-time codes are not resent, request a new one' : 'it has expired';
+      return res.status(409).json({ ok: false, error: `Message cannot be replayed — ${why}`, state: current.state });
+    }
+    console.log(`♻️  [Queue] Replayed dead letter id=${item._id} by ${req.apiKey.name}`);
+    return res.json({ ok: true, id: item._id, state: item.state, replayCount: item.replayCount });
+  } catch (err) {
+    return res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+// Why a failed or dead message would only fail again if it were requeued:
+// its session was removed, or its media was pruned. Null when it can go out.
+async function unsendableReason(id) {
+  const item = await queue.get(id);
+  if (!item) return null;
+  if (item.sessionId && !sessions?.get(item.sessionId))
+    return `its session "${item.sessionId}" no longer exists`;
+  if (item.media && !await mediaStore?.exists(item.media.id))
+    return 'its media is no longer stored, send it again';
+  return null;
+}
+
+// ─── Inbound messages & auto-reply rules ─────────────────────────────────────
+// Store each inbound message, tell webhook subscribers, then run the first
+// matching rule. Group chats are stored but never answered.
+async function handleInbound(session, msg) {
+  if (msg.fromMe || msg.isStatus || !inbox) return;
+  const sessionId = session.id;
+  const entry = {
+    waMessageId: msg.id._serialized,
+    sessionId,
+    from:        msg.from,
+    phone:       await senderPhone(msg),
+    type:        msg.type,
+    body:        msg.body,
+    hasMedia:    msg.hasMedia,
+    timestamp:   msg.timestamp,
+  };
+  if (!(await inbox.record(entry))) return;   // already seen
+  console.log(`💬 [Inbox] [${sessionId}] ${entry.phone ? maskPhone(entry.phone) : entry.from} (${entry.type})`);
+  webhooks?.emit('message.received', { ...entry, hasMedia: !!entry.hasMedia });
+
+  if (msg.from.endsWith('@g.us') || !rules) return;
+  const rule = await rules.match(sessionId, msg.body);
+  if (!rule) return;
+
+  if (rule.cooldownMs > 0) {
+    const { allowed } = await limiter.hit(`rule:${rule.id}:${msg.from}`, 1, rule.cooldownMs);
+    if (!allowed) return;
+  }
 
-    for (const { id, phone, message } of batch) {
+  try {
+    const result = await runRule(rule, { session, phone: entry.phone, chatId: msg.from });
+    await inbox.markHandled(entry.waMessageId, { ruleId: rule.id, action: rule.action.type, result });
+    console.log(`🤖 [Rules] "${rule.name}" → ${entry.phone ? maskPhone(entry.phone) : entry.from}`, result);
+  } catch (err) {
+    await inbox.markHandled(entry.waMessageId, { ruleId: rule.id, action: rule.action.type, error: err.message });
+    console.error(`❌ [Rules] "${rule.name}" failed:`, err.message);
+  }
+}
+
+// Newer WhatsApp versions address some chats by "@lid" ids, not phone numbers
+async function senderPhone(msg) {
+  if (msg.from.endsWith('@c.us')) return msg.from.split('@')[0];
+  if (msg.from.endsWith('@g.us')) return null;
+  try {
+    return (await msg.getContact())?.number || null;
+  } catch {
+    return null;
+  }
+}
+
+// Replies go back to the chat and session the message came in on
+async function runRule(rule, { session, phone, chatId }) {
+  const { action } = rule;
+  const recipient  = { session, chatId };
+  const to         = phone || chatId;
+
+  if (action.type === 'resend_otp') {
+    const last = phone && await otp.latest(phone);
+    if (last) {
       try {
-        await client.sendMessage(`${phone}@c.us`, message, { sendSeen: false });
-        console.log(`✅ [Queue] Sent id=${id} → ${phone}`);
+        const { id } = await issueOtp(phone, { purpose: last.purpose, ...last.delivery, recipient });
+        return { resent: true, id };
       } catch (err) {
-        console.error(`❌ [Queue] Failed id=${id} → ${phone}:`, err.message);
-        // Re-enqueue at front so it retries next tick
-        messageQueue.unshift({ id, phone, message, queuedAt: new Date(), retried: true });
-        console.warn(`↩️  [Queue] Re-queued id=${id} for retry`);
+        if (!(err instanceof OtpError)) throw err;
+        return { resent: false, reason: err.code };
       }
-      // Small delay between sends to avoid WhatsApp rate-limiting
-      if (batch.indexOf({ id, phone, message }) < batch.length - 1)
-        await new Promise(r => setTimeout(r, SEND_DELAY_MS));
+    }
+    if (!action.fallbackText) return { resent: false, reason: 'no_code' };
+    const { id } = await enqueueMessage(to, action.fallbackText, { kind: 'auto_reply', recipient, rule: rule.id });
+    return { resent: false, reason: 'no_code', id };
+  }
+
+  const text = action.text
+    ?? (await templates.render(action.template, { locale: action.locale, vars: { phone: to } })).text;
+  const { id } = await enqueueMessage(to, text, { kind: 'auto_reply', recipient, rule: rule.id });
+  return { id };
+}
+
+app.get('/whatsapp/inbound', requireScope('read-status'), async (req, res) => {
+  if (!inbox)
+    return res.status(503).json({ ok: false, error: 'Service is starting — try again shortly' });
+  try {
+    const { phone, session, limit } = req.query;
+    return res.json({ ok: true, messages: await inbox.list({ phone, sessionId: session, limit }) });
+  } catch (err) {
+    console.error('❌ [Inbox] error:', err.message);
+    return res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+app.post('/whatsapp/rules', requireScope('admin'), (req, res) =>
+  withRules(res, async () => {
+    const rule = await rules.create(req.body || {});
+    console.log(`🤖 [Rules] Created "${rule.name}" (${rule.match.type} → ${rule.action.type})`);
+    return { rule };
+  })
+);
+
+app.get('/whatsapp/rules', requireScope('read-status'), (_req, res) =>
+  withRules(res, async () => ({ rules: await rules.list() }))
+);
+
+app.patch('/whatsapp/rules/:id', requireScope('admin'), (req, res) =>
+  withRules(res, async () => ({ rule: await rules.update(req.params.id, req.body || {}) }))
+);
+
+app.delete('/whatsapp/rules/:id', requireScope('admin'), (req, res) =>
+  withRules(res, async () => {
+    await rules.remove(req.params.id);
+    return { deleted: true };
+  })
+);
+
+async function withRules(res, fn) {
+  if (!rules)
+    return res.status(503).json({ ok: false, error: 'Service is starting — try again shortly' });
+  try {
+    return res.json({ ok: true, ...(await fn()) });
+  } catch (err) {
+    if (err instanceof RuleError)
+      return res.status(err.status).json({ ok: false, error: err.message });
+    console.error('❌ [Rules] error:', err.message);
+    return res.status(500).json({ ok: false, error: err.message });
+  }
+}
+
+// ─── Templates ───────────────────────────────────────────────────────────────
+app.post('/whatsapp/templates', requireScope('admin'), (req, res) =>
+  withTemplates(res, async () => {
+    const template = await templates.create(req.body || {});
+    console.log(`📝 [Templates] Created "${template.name}" (${Object.keys(template.locales).join(', ')})`);
+    return { template };
+  })
+);
+
+app.get('/whatsapp/templates', requireScope('read-status'), (_req, res) =>
+  withTemplates(res, async () => ({ templates: await templates.list() }))
+);
+
+app.get('/whatsapp/templates/:name', requireScope('read-status'), (req, res) =>
+  withTemplates(res, async () => ({ template: await templates.get(req.params.name) }))
+);
+
+app.patch('/whatsapp/templates/:name', requireScope('admin'), (req, res) =>
+  withTemplates(res, async () => ({ template: await templates.update(req.params.name, req.body || {}) }))
+);
+
+app.delete('/whatsapp/templates/:name', requireScope('admin'), (req, res) =>
+  withTemplates(res, async () => {
+    await templates.remove(req.params.name);
+    return { deleted: true };
+  })
+);
+
+// Render without sending — for checking a template and its variables
+app.post('/whatsapp/templates/:name/preview', requireScope('read-status'), (req, res) =>
+  withTemplates(res, async () => {
+    const { locale, vars } = req.body || {};
+    return await templates.render(req.params.name, { locale, vars });
+  })
+);
+
+async function withTemplates(res, fn) {
+  if (!templates)
+    return res.status(503).json({ ok: false, error: 'Service is starting — try again shortly' });
+  try {
+    return res.json({ ok: true, ...(await fn()) });
+  } catch (err) {
+    if (err instanceof TemplateError)
+      return res.status(err.status).json({ ok: false, error: err.message });
+    console.error('❌ [Templates] error:', err.message);
+    return res.status(500).json({ ok: false, error: err.message });
+  }
+}
+
+// ─── Campaigns ───────────────────────────────────────────────────────────────
+// Bulk sends — see src/campaigns.js. The recipient list comes as JSON
+// ("recipients" or "csv") or as a CSV/JSON file in the multipart field "file".
+const CAMPAIGN_FILE_MAX_BYTES = 5 * 1024 * 1024;
+const campaignUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: CAMPAIGN_FILE_MAX_BYTES, files: 1 } }).single('file');
+
+function parseCampaignUpload(req, res, next) {
+  campaignUpload(req, res, (err) => {
+    if (!err) return next();
+    return res.status(err.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({ ok: false, error: err.message });
+  });
+}
+
+// Body: { name?, template | message, locale?, session?, ratePerMinute?, recipients | csv }
+app.post('/whatsapp/campaigns', requireScope('send'), parseCampaignUpload, rateLimit, (req, res) =>
+  withCampaigns(res, async () => {
+    const { name, template, message, locale, session, ratePerMinute } = req.body || {};
+    if (!template === !message)
+      throw new CampaignError('send either message or template');
+    if (session) requireSession(String(session));
+    const variables = template ? (await templates.get(String(template))).variables : variablesOf(String(message));
+
+    const rows    = parseRecipients(req.file ? recipientsFile(req.file) : { csv: req.body.csv, recipients: parseJsonField(req.body.recipients) });
+    const missing = variables.filter(v => !rows.some(row => row.vars && v in row.vars));
+    if (missing.length)
+      throw new CampaignError(`No recipient has the variable(s) ${missing.join(', ')} — add a column or field for each`);
+
+    const campaign = await campaigns.create({
+      name, rows, ratePerMinute,
+      sessionId: session ? String(session) : null,
+      template:  template ? String(template) : null,
+      message:   message ? String(message) : null,
+      locale:    locale || null,
+      createdBy: req.apiKey.name,
+      createdByKey: req.apiKey.id,
+    });
+    console.log(`📣 [Campaigns] "${campaign.name}" created by ${req.apiKey.name} — ${campaign.total} recipient(s) at ${campaign.ratePerMinute}/min`);
+    return { campaign };
+  })
+);
+
+app.get('/whatsapp/campaigns', requireScope('read-status'), (req, res) =>
+  withCampaigns(res, async () => ({ campaigns: await campaigns.list(req.query) }))
+);
+
+app.get('/whatsapp/campaigns/:id', requireScope('read-status'), (req, res) =>
+  withCampaigns(res, async () => ({ campaign: await campaigns.get(req.params.id) }))
+);
+
+// Pausing stops feeding the queue; messages already queued still go out.
+// Cancelling also withdraws those. Only the key that created the campaign,
+// or an admin key, can do either.
+app.post('/whatsapp/campaigns/:id/:action(pause|resume|cancel)', requireScope('send'), (req, res) =>
+  withCampaigns(res, async () => {
+    const { id, action } = req.params;
+    if (!hasScope(req.apiKey, 'admin') && await campaigns.ownerOf(id) !== req.apiKey.id)
+      throw new CampaignError('Only the API key that created this campaign (or an admin key) can change it', 403);
+    if (action !== 'cancel') {
+      const campaign = await campaigns[action](id);
+      console.log(`📣 [Campaigns] "${campaign.name}" ${action === 'pause' ? 'paused' : 'resumed'} by ${req.apiKey.name}`);
+      return { campaign: await campaigns.get(id) };
+    }
+    const campaign  = await campaigns.cancel(id);
+    const withdrawn = await queue.cancelCampaign(id);
+    sessions?.all().forEach(s => streamQueueDepth(s.id));
+    console.log(`📣 [Campaigns] "${campaign.name}" cancelled by ${req.apiKey.name} — ${withdrawn} queued message(s) withdrawn`);
+    return { campaign, withdrawn };
+  })
+);
+
+// One line per recipient row: CSV (default) or ?format=json
+app.get('/whatsapp/campaigns/:id/report', requireScope('read-status'), async (req, res) => {
+  if (!campaigns)
+    return res.status(503).json({ ok: false, error: 'Service is starting — try again shortly' });
+  try {
+    const rows = await campaigns.report(req.params.id);
+    if (req.query.format === 'json') return res.json({ ok: true, rows });
+    res.attachment(`campaign-${req.params.id}.csv`);
+    return res.type('text/csv').send(reportCsv(rows));
+  } catch (err) {
+    if (err instanceof CampaignError)
+      return res.status(err.status).json({ ok: false, error: err.message });
+    console.error('❌ [Campaigns] report error:', err.message);
+    return res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+// Queue one recipient row. Row problems (a number that isn't on WhatsApp, a
+// missing variable) skip the row; anything else pauses the campaign.
+async function feedCampaign(campaign, recipient) {
+  const locale = recipient.locale || campaign.locale || undefined;
+  // Each row counts against the same per-number limit as a single send
+  const limit = await limiter.check([
+    { name: 'phone', bucket: `phone:${recipient.phone}`, limit: RATE_LIMIT_PER_PHONE, windowMs: RATE_LIMIT_PHONE_WINDOW_MS },
+  ]);
+  if (!limit.allowed)
+    return { skipped: `rate limited (phone: ${limit.limit} per ${Math.round(limit.windowMs / 1000)}s)` };
+  try {
+    const rendered = campaign.template
+      ? await templates.render(campaign.template, { locale, vars: recipient.vars })
+      : templates.renderText(campaign.message, { locale, vars: recipient.vars });
+    const extra = campaign.template ? { template: campaign.template, locale: rendered.locale } : {};
+    const { id } = await enqueueMessage(recipient.phone, rendered.text, {
+      session: campaign.sessionId || undefined, kind: 'campaign', campaignId: campaign.id, ...extra,
+    });
+    return { messageId: id };
+  } catch (err) {
+    if (err instanceof PhoneError || (err instanceof TemplateError && err.status !== 404))
+      return { skipped: err.message };
+    throw err;
+  }
+}
+
+function recipientsFile(file) {
+  const text = file.buffer.toString('utf8');
+  if (!/json/.test(file.mimetype) && !/\.json$/i.test(file.originalname)) return { csv: text };
+  try {
+    return { recipients: JSON.parse(text) };
+  } catch {
+    throw new CampaignError('The file is not valid JSON');
+  }
+}
+
+async function withCampaigns(res, fn) {
+  if (!campaigns || !sessions)
+    return res.status(503).json({ ok: false, error: 'Service is starting — try again shortly' });
+  try {
+    return res.json({ ok: true, ...(await fn()) });
+  } catch (err) {
+    if (err instanceof CampaignError || err instanceof TemplateError || err instanceof SessionError)
+      return res.status(err.status).json({ ok: false, error: err.message });
+    console.error('❌ [Campaigns] error:', err.message);
+    return res.status(500).json({ ok: false, error: err.message });
+  }
+}
+
+// ─── Webhooks ────────────────────────────────────────────────────────────────
+app.post('/whatsapp/webhooks', requireScope('admin'), (req, res) =>
+  withWebhooks(res, async () => {
+    const hook = await webhooks.create(req.body || {});
+    console.log(`🔔 [Webhooks] Subscribed ${hook.url} to ${hook.events.join(', ')}`);
+    return { webhook: hook };
+  })
+);
+
+app.get('/whatsapp/webhooks', requireScope('admin'), (_req, res) =>
+  withWebhooks(res, async () => ({ webhooks: await webhooks.list() }))
+);
+
+app.patch('/whatsapp/webhooks/:id', requireScope('admin'), (req, res) =>
+  withWebhooks(res, async () => ({ webhook: await webhooks.update(req.params.id, req.body || {}) }))
+);
+
+app.delete('/whatsapp/webhooks/:id', requireScope('admin'), (req, res) =>
+  withWebhooks(res, async () => {
+    await webhooks.remove(req.params.id);
+    return { deleted: true };
+  })
+);
+
+app.get('/whatsapp/webhooks/deliveries', requireScope('admin'), (req, res) =>
+  withWebhooks(res, async () => ({ deliveries: await webhooks.deliveries(req.query) }))
+);
+
+app.post('/whatsapp/webhooks/deliveries/:id/redeliver', requireScope('admin'), (req, res) =>
+  withWebhooks(res, async () => ({ delivery: await webhooks.redeliver(req.params.id) }))
+);
+
+async function withWebhooks(res, fn) {
+  if (!webhooks)
+    return res.status(503).json({ ok: false, error: 'Service is starting — try again shortly' });
+  try {
+    return res.json({ ok: true, ...(await fn()) });
+  } catch (err) {
+    if (err instanceof WebhookError)
+      return res.status(err.status).json({ ok: false, error: err.message });
+    console.error('❌ [Webhooks] error:', err.message);
+    return res.status(500).json({ ok: false, error: err.message });
+  }
+}
+
+// ─── API keys (admin) ─────────────────────────────────────────────────────────
+app.post('/admin/keys', requireScope('admin'), (req, res) =>
+  withApiKeys(res, async () => {
+    const key = await apiKeys.create(req.body || {});
+    console.log(`🔑 [Keys] Created "${key.name}" scopes=${key.scopes.join(',')} by ${req.apiKey.name}`);
+    return { key };
+  })
+);
+
+app.get('/admin/keys', requireScope('admin'), (_req, res) =>
+  withApiKeys(res, async () => ({ keys: await apiKeys.list() }))
+);
+
+app.patch('/admin/keys/:id', requireScope('admin'), (req, res) =>
+  withApiKeys(res, async () => ({ key: await apiKeys.update(req.params.id, req.body || {}) }))
+);
+
+app.post('/admin/keys/:id/rotate', requireScope('admin'), (req, res) =>
+  withApiKeys(res, async () => {
+    const key = await apiKeys.rotate(req.params.id);
+    console.log(`🔑 [Keys] Rotated "${key.name}" by ${req.apiKey.name}`);
+    return { key };
+  })
+);
+
+app.delete('/admin/keys/:id', requireScope('admin'), (req, res) =>
+  withApiKeys(res, async () => {
+    await apiKeys.revoke(req.params.id);
+    console.log(`🔑 [Keys] Revoked ${req.params.id} by ${req.apiKey.name}`);
+    return { revoked: true };
+  })
+);
+
+async function withApiKeys(res, fn) {
+  try {
+    return res.json({ ok: true, ...(await fn()) });
+  } catch (err) {
+    if (err instanceof ApiKeyError)
+      return res.status(err.status).json({ ok: false, error: err.message });
+    console.error('❌ [Keys] error:', err.message);
+    return res.status(500).json({ ok: false, error: err.message });
+  }
+}
+
+// ─── Queue Processor ─────────────────────────────────────────────────────────
+// One timer; each tick drains every ready session's queue in parallel, while
+// sends within a session stay sequential and spaced by SEND_DELAY_MS.
+async function startQueueProcessor() {
+  if (queueRunning) return;
+  queueRunning = true;
+
+  const recovered = await queue.recover();
+  const pending   = await queue.pendingCount();
+  if (recovered) console.log(`♻️  [Queue] Recovered ${recovered} item(s) with expired claims`);
+  if (pending)   console.log(`📬 [Queue] ${pending} item(s) pending from previous run`);
+  console.log(`⏱️  [Queue] Processor started — interval ${QUEUE_INTERVAL / 1000}s`);
+
+  queueTimer = setInterval(async () => {
+    try {
+      await queue.recover();
+      const released = await queue.releaseDue();
+      if (released) console.log(`⏰ [Queue] Released ${released} scheduled item(s)`);
+      await expireQueued();
+    } catch (err) {
+      console.error('❌ [Queue] maintenance error:', err.message);
+    }
+    for (const session of sessions.all()) {
+      if (session.queueBusy) continue;
+      session.queueBusy = true;
+      processQueue(session)
+        .catch(err => console.error(`❌ [Queue] [${session.id}] tick error:`, err.message))
+        .finally(() => { session.queueBusy = false; });
     }
   }, QUEUE_INTERVAL);
 }
 
+// Retire items past their expiresAt (e.g. OTPs nobody can use any more)
+async function expireQueued() {
+  for (const item of await queue.expire()) {
+    if (item.media) await mediaStore?.remove(item.media.id);
+    metrics.failed(item.sessionId, item.kind, 'expired');
+    console.warn(`⌛ [Queue] [${item.sessionId}] Expired id=${item._id} → ${maskPhone(item.phone)} (${item.kind || 'message'})`);
+    reportSend('message.failed', {
+      id: item._id, sessionId: item.sessionId, phone: item.phone, kind: item.kind,
+      error: 'expired', attempts: item.attempts, willRetry: false,
+    });
+  }
+}
+
+// Drain one session's queue, one claimed item at a time, until it is empty
+async function processQueue(session) {
+  if (!session.canSend) {
+    const waiting = await queue.pendingCount(session.id);
+    const why     = session.ready ? 'unhealthy' : session.state;
+    if (waiting) console.warn(`⚠️  [Queue] [${session.id}] Client ${why} — skipping tick (${waiting} items waiting)`);
+    return;
+  }
+
+  let sent = 0;
+  while (queueRunning && session.canSend) {
+    // Small delay between sends to avoid WhatsApp rate-limiting. It comes
+    // before the claim, so the next item stays queued (and cancellable) while
+    // we wait, and a restart meanwhile doesn't find it half-sent.
+    if (sent++ > 0) {
+      await new Promise(r => setTimeout(r, SEND_DELAY_MS));
+      if (!queueRunning || !session.canSend) break;
+    }
+
+    const item = await queue.claim(session.id);
+    if (!item) break;
+
+    const { _id: id, phone, chatId, message, sessionId, media } = item;
+    try {
+      const content = media ? await loadMedia(media) : message;
+      const started = Date.now();
+      const sentMsg = media
+        ? await session.send(chatId || phone, content, { caption: message || undefined, sendAudioAsVoice: !!item.voice })
+        : await session.send(chatId || phone, content);
+      metrics.sent(sessionId, item.kind, { sendMs: Date.now() - started, since: item.sendAt || item.queuedAt });
+      const waMessageId = sentMsg?.id?._serialized;
+      await queue.markSent(id, { waMessageId, ack: sentMsg?.ack });
+      if (media) await mediaStore.remove(media.id);
+      console.log(`✅ [Queue] [${sessionId}] Sent id=${id} → ${maskPhone(phone)}`);
+      reportSend('message.sent', { id, sessionId, phone, kind: item.kind, waMessageId });
+    } catch (err) {
+      console.error(`❌ [Queue] [${sessionId}] Failed id=${id} → ${maskPhone(phone)} (attempt ${item.attempts}):`, err.message);
+      await handleSendFailure(session, item, err);
+    }
+  }
+}
+
+// Retry with backoff, or dead-letter once the error is permanent or the
+// attempts are used up. A client that dropped (or froze) mid-send doesn't count.
+async function handleSendFailure(session, item, err) {
+  const { _id: id, phone, sessionId, kind, attempts } = item;
+
+  if (!session.canSend && !retryPolicy.isPermanent(err)) {
+    await queue.release(id, err.message, { refund: true });
+    metrics.failed(sessionId, kind, 'client_dropped');
+    console.warn(`↩️  [Queue] Re-queued id=${id} — client went away mid-send`);
+    streamQueueDepth(sessionId);
+    return;
+  }
+
+  const delay = retryPolicy.nextDelay(err, attempts);
+  if (delay === null) {
+    const reason = retryPolicy.isPermanent(err) ? 'permanent' : 'exhausted';
+    await queue.markDead(id, err.message, reason);
+    metrics.failed(sessionId, kind, reason);
+    console.warn(`🪦 [Queue] Dead-lettered id=${id} (${reason}) after ${attempts} attempt(s)`);
+    reportSend('message.failed', { id, sessionId, phone, kind, error: err.message, attempts, willRetry: false, deadLetter: reason });
+    return;
+  }
+
+  const retryAt = new Date(Date.now() + delay);
+  await queue.release(id, err.message, { retryAt });
+  metrics.failed(sessionId, kind, 'retry');
+  console.warn(`↩️  [Queue] Re-queued id=${id}, next attempt ${retryAt.toISOString()}`);
+  reportSend('message.failed', { id, sessionId, phone, kind, error: err.message, attempts, willRetry: true, nextAttemptAt: retryAt });
+}
+
+async function loadMedia({ id, mimetype, filename }) {
+  return new MessageMedia(mimetype, await mediaStore.load(id), filename);
+}
+
+// Stop claiming new items and wait for in-flight sends to finish
+async function stopQueueProcessor(timeoutMs = 20_000) {
+  if (!queueRunning) return;
+  queueRunning = false;
+  clearInterval(queueTimer);
+  const deadline = Date.now() + timeoutMs;
+  while (sessions?.all().some(s => s.queueBusy) && Date.now() < deadline)
+    await new Promise(r => setTimeout(r, 200));
+  const released = await queue.recover({ ownOnly: true });
+  if (released) console.log(`↩️  [Queue] Released ${released} claimed item(s) for the next instance`);
+}
+
 // ─── Start ────────────────────────────────────────────────────────────────────
 app.listen(PORT, '0.0.0.0', () => {
   console.log(`🚀 Server listening on 0.0.0.0:${PORT}`);
@@ -600,8 +1982,18 @@ app.listen(PORT, '0.0.0.0', () => {
 process.on('SIGTERM', async () => {
   console.log('🛑 SIGTERM — shutting down gracefully');
   try {
-    if (client && clientReady) await client.destroy();
+    if (queue) await stopQueueProcessor();
+    if (webhooks) webhooks.stop();
+    if (campaigns) campaigns.stop();
+    events.close();
+    logStream.close();
+    if (watchdog) watchdog.stop();
+    if (mediaStore) mediaStore.stop();
+    if (sessions) await sessions.stopAll();
     if (store) await store.close();
-  } catch {}
+    if (mongo) await mongo.close();
+  } catch (err) {
+    console.warn('⚠️  Error during SIGTERM cleanup:', err.message);
+  }
   process.exit(0);
 });
@@ -0,0 +1,183 @@
+import crypto from 'crypto';
+
+// ─── API keys ─────────────────────────────────────────────────────────────────
+// Keys are random 32-byte tokens; only their SHA-256 is stored (`api_keys`).
+// The clear key is returned once, by create() and rotate().
+//
+// ADMIN_API_KEY (env) is a bootstrap admin key that is never stored — use it
+// to create the first real keys. With neither configured, every protected
+// route rejects requests.
+
+export const SCOPES = Object.freeze(['send', 'otp', 'admin', 'read-status']);
+
+// Per-key overrides of the global send limits (see src/rateLimit.js)
+const RATE_LIMIT_FIELDS = ['perPhone', 'perKey', 'perIp'];
+
+const LAST_USED_RESOLUTION_MS = 60_000;
+
+const BOOTSTRAP_KEY = Object.freeze({ id: 'bootstrap', name: 'ADMIN_API_KEY', scopes: ['admin'], ipAllowlist: [] });
+
+export class ApiKeyError extends Error {
+  constructor(message, status = 401) {
+    super(message);
+    this.status = status;
+  }
+}
+
+export class ApiKeyService {
+  constructor(db, { bootstrapKey = '' } = {}) {
+    this._col          = db.collection('api_keys');
+    this._bootstrapKey = bootstrapKey;
+  }
+
+  async init() {
+    await this._col.createIndex({ hash: 1 }, { unique: true });
+    const active = await this._col.countDocuments({ revokedAt: null });
+    if (!active && !this._bootstrapKey)
+      console.warn('⚠️  [Keys] No API keys configured — all authenticated routes will reject requests. Set ADMIN_API_KEY to create one.');
+    else
+      console.log(`[Keys] ${active} active key(s)${this._bootstrapKey ? ' + ADMIN_API_KEY' : ''} ✓`);
+  }
+
+  // Resolve a presented key to its record, checking revocation, expiry and
+  // the IP allowlist. Throws ApiKeyError.
+  async authenticate(rawKey, ip) {
+    if (!rawKey) throw new ApiKeyError('API key required');
+
+    if (this._bootstrapKey && safeEqual(rawKey, this._bootstrapKey))
+      return BOOTSTRAP_KEY;
+
+    const key = await this._col.findOne({ hash: hashKey(rawKey) });
+    if (!key || key.revokedAt) throw new ApiKeyError('Invalid API key');
+    if (key.expiresAt && key.expiresAt <= new Date()) throw new ApiKeyError('API key expired');
+    if (key.ipAllowlist?.length && !key.ipAllowlist.includes(normalizeIp(ip)))
+      throw new ApiKeyError('API key not allowed from this address', 403);
+
+    const now = new Date();
+    if (!key.lastUsedAt || now - key.lastUsedAt > LAST_USED_RESOLUTION_MS)
+      this._col.updateOne({ _id: key._id }, { $set: { lastUsedAt: now } }).catch(() => {});
+
+    return present(key);
+  }
+
+  // The key behind a dashboard sign-in, or null once it is revoked or expired
+  async findActive(id) {
+    if (id === 'bootstrap') return this._bootstrapKey ? BOOTSTRAP_KEY : null;
+    const key = await this._col.findOne({ _id: id, revokedAt: null });
+    if (!key || (key.expiresAt && key.expiresAt <= new Date())) return null;
+    return present(key);
+  }
+
+  async create({ name, scopes = [], ipAllowlist = [], expiresAt = null, rateLimits = {} }) {
+    if (!name) throw new ApiKeyError('name required', 400);
+    const doc = {
+      _id:         crypto.randomUUID(),
+      name:        String(name),
+      scopes:      validateScopes(scopes),
+      ipAllowlist: [].concat(ipAllowlist || []).map(normalizeIp),
+      expiresAt:   parseExpiry(expiresAt),
+      rateLimits:  validateRateLimits(rateLimits),
+      createdAt:   new Date(),
+      revokedAt:   null,
+    };
+    const key = generateKey();
+    await this._col.insertOne({ ...doc, hash: hashKey(key), hint: key.slice(-4) });
+    return { ...present(doc), hint: key.slice(-4), key };
+  }
+
+  async list() {
+    const keys = await this._col.find({}).sort({ createdAt: 1 }).toArray();
+    return keys.map(present);
+  }
+
+  async update(id, changes) {
+    const $set = {};
+    if (changes.name !== undefined)        $set.name        = String(changes.name);
+    if (changes.scopes !== undefined)      $set.scopes      = validateScopes(changes.scopes);
+    if (changes.ipAllowlist !== undefined) $set.ipAllowlist = [].concat(changes.ipAllowlist || []).map(normalizeIp);
+    if (changes.expiresAt !== undefined)   $set.expiresAt   = parseExpiry(changes.expiresAt);
+    if (changes.rateLimits !== undefined)  $set.rateLimits  = validateRateLimits(changes.rateLimits);
+    const key = await this._col.findOneAndUpdate(
+      { _id: id, revokedAt: null }, { $set }, { returnDocument: 'after' }
+    );
+    if (!key) throw new ApiKeyError('API key not found', 404);
+    return present(key);
+  }
+
+  // Issue a new secret for an existing key; the old secret stops working at once
+  async rotate(id) {
+    const key = generateKey();
+    const doc = await this._col.findOneAndUpdate(
+      { _id: id, revokedAt: null },
+      { $set: { hash: hashKey(key), hint: key.slice(-4), rotatedAt: new Date() } },
+      { returnDocument: 'after' }
+    );
+    if (!doc) throw new ApiKeyError('API key not found', 404);
+    return { ...present(doc), key };
+  }
+
+  async revoke(id) {
+    const { modifiedCount } = await this._col.updateOne(
+      { _id: id, revokedAt: null },
+      { $set: { revokedAt: new Date() } }
+    );
+    if (!modifiedCount) throw new ApiKeyError('API key not found', 404);
+  }
+}
+
+// `admin` implies every other scope
+export function hasScope(key, scope) {
+  return key.scopes.includes('admin') || key.scopes.includes(scope);
+}
+
+function generateKey() {
+  return `wak_${crypto.randomBytes(32).toString('base64url')}`;
+}
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+function safeEqual(a, b) {
+  const x = crypto.createHash('sha256').update(String(a)).digest();
+  const y = crypto.createHash('sha256').update(String(b)).digest();
+  return crypto.timingSafeEqual(x, y);
+}
+
+function validateScopes(scopes) {
+  scopes = [].concat(scopes || []);
+  if (!scopes.length) throw new ApiKeyError('At least one scope is required', 400);
+  const unknown = scopes.filter(s => !SCOPES.includes(s));
+  if (unknown.length) throw new ApiKeyError(`Unknown scope(s): ${unknown.join(', ')}`, 400);
+  return [...new Set(scopes)];
+}
+
+// Each field: a non-negative integer (0 = unlimited), or absent to use the default
+function validateRateLimits(limits) {
+  const out = {};
+  for (const [field, value] of Object.entries(limits || {})) {
+    if (!RATE_LIMIT_FIELDS.includes(field))
+      throw new ApiKeyError(`Unknown rate limit "${field}" — use ${RATE_LIMIT_FIELDS.join(', ')}`, 400);
+    if (value === null) continue;
+    if (!Number.isInteger(value) || value < 0)
+      throw new ApiKeyError(`rateLimits.${field} must be a non-negative integer`, 400);
+    out[field] = value;
+  }
+  return out;
+}
+
+function parseExpiry(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  if (isNaN(date)) throw new ApiKeyError('expiresAt must be a date', 400);
+  return date;
+}
+
+// Express reports IPv4 clients as ::ffff:1.2.3.4 on dual-stack sockets
+function normalizeIp(ip) {
+  return String(ip || '').replace(/^::ffff:/, '');
+}
+
+function present({ _id, hash, ...key }) {
+  return { id: _id, ...key };
+}
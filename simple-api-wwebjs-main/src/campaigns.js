@@ -0,0 +1,382 @@
+import crypto from 'crypto';
+import { normalizePhone, PhoneError } from './phone.js';
+
+// ─── Campaigns ────────────────────────────────────────────────────────────────
+// A bulk send: one template (or message text) and a list of recipients, each
+// with its own variables. The campaign lives in `campaigns`, one document per
+// recipient row in `campaign_recipients`.
+//
+// Rows are not queued all at once. A dispatcher hands them to the queue at
+// the campaign's `ratePerMinute`, and stops while a minute's worth is still
+// waiting there (e.g. the session is down). The queue reports each result
+// back through recordResult(), so a row goes
+// pending → queued → sent | failed, or straight to skipped when it can't be
+// sent (bad number, missing variable). A campaign completes once no row is
+// pending or queued.
+
+export const CampaignState = Object.freeze({
+  RUNNING:   'running',
+  PAUSED:    'paused',
+  CANCELLED: 'cancelled',
+  COMPLETED: 'completed',
+});
+
+export const RecipientState = Object.freeze({
+  PENDING:   'pending',
+  QUEUED:    'queued',
+  SENT:      'sent',
+  FAILED:    'failed',
+  SKIPPED:   'skipped',
+  CANCELLED: 'cancelled',
+});
+
+const CLAIM_STALE_MS = 60_000;
+
+export class CampaignError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+export class CampaignService {
+  // feed(campaign, recipient) queues one row and returns { messageId }, or
+  // { skipped: reason } when the row can't be sent. A thrown error pauses
+  // the campaign (e.g. its session was removed).
+  constructor(db, {
+    feed,
+    intervalMs         = 5_000,
+    defaultRate        = 12,
+    maxRate            = 60,
+    maxRecipients      = 10_000,
+    retentionMs        = 30 * 24 * 3600_000,
+    defaultCountryCode = '',
+  } = {}) {
+    this._campaigns     = db.collection('campaigns');
+    this._recipients    = db.collection('campaign_recipients');
+    this._feed          = feed;
+    this._intervalMs    = intervalMs;
+    this._defaultRate   = defaultRate;
+    this._maxRate       = maxRate;
+    this._maxRecipients = maxRecipients;
+    this._retentionMs   = retentionMs;
+    this._countryCode   = defaultCountryCode;
+    this._credit        = new Map();   // campaign id → rows it may queue now
+    this._timer         = null;
+    this._busy          = false;
+  }
+
+  async init() {
+    await this._campaigns.createIndex({ state: 1, createdAt: 1 });
+    await this._campaigns.createIndex({ purgeAt: 1 }, { expireAfterSeconds: 0 });
+    await this._recipients.createIndex({ campaignId: 1, state: 1, row: 1 });
+    await this._recipients.createIndex({ messageId: 1 }, { sparse: true });
+    await this._recipients.createIndex({ purgeAt: 1 }, { expireAfterSeconds: 0 });
+    const running = await this._campaigns.countDocuments({ state: CampaignState.RUNNING });
+    console.log(`[Campaigns] ${running} running campaign(s) ✓`);
+  }
+
+  // rows: [{ phone, vars, locale }] — see parseRecipients(). Numbers that
+  // don't parse and repeats of a number are recorded as skipped.
+  async create({ name, sessionId = null, template = null, message = null, locale = null, ratePerMinute, rows, createdBy, createdByKey = null }) {
+    if (!rows.length) throw new CampaignError('The recipient list is empty');
+    if (rows.length > this._maxRecipients)
+      throw new CampaignError(`A campaign takes at most ${this._maxRecipients} recipients (got ${rows.length})`, 413);
+    const rate = ratePerMinute === undefined || ratePerMinute === '' ? this._defaultRate : Number(ratePerMinute);
+    if (!Number.isInteger(rate) || rate < 1 || rate > this._maxRate)
+      throw new CampaignError(`ratePerMinute must be a whole number from 1 to ${this._maxRate}`);
+
+    const id   = crypto.randomUUID();
+    const now  = new Date();
+    const seen = new Set();
+    const docs = rows.map(({ phone, vars, locale: rowLocale }, i) => {
+      const doc = { _id: `${id}:${i + 1}`, campaignId: id, row: i + 1, phone: String(phone ?? ''), vars, locale: rowLocale || null, state: RecipientState.PENDING, updatedAt: now };
+      try {
+        doc.phone = normalizePhone(phone, { defaultCountryCode: this._countryCode });
+        if (seen.has(doc.phone)) throw new PhoneError('duplicate', 'number already listed in an earlier row');
+        seen.add(doc.phone);
+      } catch (err) {
+        if (!(err instanceof PhoneError)) throw err;
+        Object.assign(doc, { state: RecipientState.SKIPPED, error: err.message });
+      }
+      return doc;
+    });
+
+    const campaign = {
+      _id:           id,
+      name:          String(name || `Campaign ${now.toISOString()}`),
+      sessionId,
+      template,
+      message,
+      locale,
+      ratePerMinute: rate,
+      total:         docs.length,
+      state:         CampaignState.RUNNING,
+      createdBy,
+      createdByKey,
+      createdAt:     now,
+      updatedAt:     now,
+    };
+    await this._recipients.insertMany(docs);
+    await this._campaigns.insertOne(campaign);
+    return this._present(campaign);
+  }
+
+  async list({ state, limit = 50 } = {}) {
+    const docs = await this._campaigns
+      .find(state ? { state } : {})
+      .sort({ createdAt: -1 })
+      .limit(Math.min(Number(limit) || 50, 200))
+      .toArray();
+    return Promise.all(docs.map(d => this._present(d)));
+  }
+
+  async get(id) {
+    return this._present(await this._find(id));
+  }
+
+  // Id of the API key that created the campaign (null for older campaigns)
+  async ownerOf(id) {
+    return (await this._find(id)).createdByKey ?? null;
+  }
+
+  // Stop feeding the queue. Rows already queued still go out.
+  async pause(id, reason = null) {
+    return this._move(id, [CampaignState.RUNNING], CampaignState.PAUSED, { pausedReason: reason });
+  }
+
+  async resume(id) {
+    this._credit.delete(id);
+    return this._move(id, [CampaignState.PAUSED], CampaignState.RUNNING, { pausedReason: null });
+  }
+
+  // Rows not sent yet become cancelled. The caller withdraws the queued ones
+  // from the queue.
+  async cancel(id) {
+    const now      = new Date();
+    const campaign = await this._move(id, [CampaignState.RUNNING, CampaignState.PAUSED], CampaignState.CANCELLED, {
+      finishedAt: now, purgeAt: this._purgeAt(now),
+    });
+    await this._recipients.updateMany(
+      { campaignId: id, state: { $in: [RecipientState.PENDING, RecipientState.QUEUED] } },
+      { $set: { state: RecipientState.CANCELLED, updatedAt: now } }
+    );
+    await this._recipients.updateMany({ campaignId: id }, { $set: { purgeAt: this._purgeAt(now) } });
+    this._credit.delete(id);
+    return this.get(campaign.id);
+  }
+
+  // A queued row's message was sent, failed for good or was cancelled. Never
+  // throws: the send path that reports it must carry on.
+  async recordResult(messageId, { state, error = null }) {
+    try {
+      await this._recipients.updateOne(
+        { messageId },
+        { $set: { state, error, updatedAt: new Date() } }
+      );
+    } catch (err) {
+      console.error(`❌ [Campaigns] result for id=${messageId} not recorded:`, err.message);
+    }
+  }
+
+  // Every row in order, for the downloadable report
+  async report(id) {
+    await this._find(id);
+    const rows = await this._recipients.find({ campaignId: id }).sort({ row: 1 }).toArray();
+    return rows.map(({ row, phone, state, messageId, error, updatedAt }) =>
+      ({ row, phone, state, messageId: messageId || null, error: error || null, updatedAt }));
+  }
+
+  // ── Dispatcher ─────────────────────────────────────────────────────────────
+  async start() {
+    if (this._timer) return;
+    // Rows a previous process claimed but never queued go back to pending
+    await this._recipients.updateMany(
+      { state: RecipientState.QUEUED, messageId: null, claimedAt: { $lte: new Date(Date.now() - CLAIM_STALE_MS) } },
+      { $set: { state: RecipientState.PENDING } }
+    );
+    this._timer = setInterval(() => this._tick(), this._intervalMs);
+    console.log(`⏱️  [Campaigns] Dispatcher started — interval ${this._intervalMs / 1000}s`);
+  }
+
+  stop() {
+    clearInterval(this._timer);
+    this._timer = null;
+  }
+
+  async _tick() {
+    if (this._busy) return;
+    this._busy = true;
+    try {
+      const running = await this._campaigns.find({ state: CampaignState.RUNNING }).sort({ createdAt: 1 }).toArray();
+      for (const campaign of running) await this._advance(campaign);
+    } catch (err) {
+      console.error('❌ [Campaigns] dispatcher error:', err.message);
+    } finally {
+      this._busy = false;
+    }
+  }
+
+  async _advance(campaign) {
+    const id      = campaign._id;
+    const perTick = campaign.ratePerMinute * this._intervalMs / 60_000;
+    const credit  = Math.min((this._credit.get(id) ?? 0) + perTick, Math.max(perTick, 1));
+    const waiting = await this._recipients.countDocuments({ campaignId: id, state: RecipientState.QUEUED });
+    let   budget  = Math.min(Math.floor(credit), campaign.ratePerMinute - waiting);
+    this._credit.set(id, credit - Math.max(budget, 0));
+
+    let recipient;
+    while (budget > 0 && (recipient = await this._claim(id))) {
+      let result;
+      try {
+        result = await this._feed(present(campaign), recipient);
+      } catch (err) {
+        await this._recipients.updateOne({ _id: recipient._id }, { $set: { state: RecipientState.PENDING }, $unset: { claimedAt: '' } });
+        await this.pause(id, err.message).catch(() => {});
+        console.warn(`⏸️  [Campaigns] "${campaign.name}" paused: ${err.message}`);
+        return;
+      }
+      const $set = result.skipped
+        ? { state: RecipientState.SKIPPED, error: result.skipped }
+        : { messageId: result.messageId };
+      await this._recipients.updateOne({ _id: recipient._id }, { $set: { ...$set, updatedAt: new Date() } });
+      if (!result.skipped) budget--;
+    }
+
+    const open = await this._recipients.countDocuments({
+      campaignId: id, state: { $in: [RecipientState.PENDING, RecipientState.QUEUED] },
+    });
+    if (!open) await this._complete(campaign);
+  }
+
+  // Atomically take the next pending row
+  _claim(campaignId) {
+    const now = new Date();
+    return this._recipients.findOneAndUpdate(
+      { campaignId, state: RecipientState.PENDING },
+      { $set: { state: RecipientState.QUEUED, messageId: null, claimedAt: now, updatedAt: now } },
+      { sort: { row: 1 }, returnDocument: 'after' }
+    );
+  }
+
+  async _complete(campaign) {
+    const now  = new Date();
+    const done = await this._campaigns.findOneAndUpdate(
+      { _id: campaign._id, state: CampaignState.RUNNING },
+      { $set: { state: CampaignState.COMPLETED, finishedAt: now, updatedAt: now, purgeAt: this._purgeAt(now) } },
+      { returnDocument: 'after' }
+    );
+    if (!done) return;
+    await this._recipients.updateMany({ campaignId: campaign._id }, { $set: { purgeAt: this._purgeAt(now) } });
+    this._credit.delete(campaign._id);
+    const { progress } = await this._present(done);
+    console.log(`🏁 [Campaigns] "${done.name}" completed — ${progress.sent} sent, ${progress.failed} failed, ${progress.skipped} skipped`);
+  }
+
+  async _move(id, from, to, extra = {}) {
+    const campaign = await this._campaigns.findOneAndUpdate(
+      { _id: id, state: { $in: from } },
+      { $set: { state: to, ...extra, updatedAt: new Date() } },
+      { returnDocument: 'after' }
+    );
+    if (campaign) return present(campaign);
+    const current = await this._find(id);
+    throw new CampaignError(`Campaign is ${current.state}`, 409);
+  }
+
+  async _find(id) {
+    const campaign = await this._campaigns.findOne({ _id: id });
+    if (!campaign) throw new CampaignError('Campaign not found', 404);
+    return campaign;
+  }
+
+  async _present(campaign) {
+    const progress = { total: campaign.total };
+    for (const state of Object.values(RecipientState))
+      progress[state] = await this._recipients.countDocuments({ campaignId: campaign._id, state });
+    return { ...present(campaign), progress };
+  }
+
+  _purgeAt(from) {
+    return new Date(from.getTime() + this._retentionMs);
+  }
+}
+
+// Recipient rows from a CSV text or a JSON array. CSV needs a header row with
+// a "phone" column; an optional "locale" column sets the row's locale and
+// every other column is a variable (an empty cell counts as missing). JSON items are { phone, locale?, vars? },
+// or flat objects whose other fields are the variables.
+export function parseRecipients({ csv, recipients }) {
+  if (csv !== undefined) return rowsFromCsv(String(csv));
+  if (!Array.isArray(recipients))
+    throw new CampaignError('Send the recipients as a JSON array "recipients", a "csv" text or a CSV/JSON file');
+  return recipients.map((item, i) => {
+    if (item === null || typeof item !== 'object' || Array.isArray(item))
+      throw new CampaignError(`recipients[${i}] must be an object`);
+    const { phone, locale, vars, ...rest } = item;
+    if (vars !== undefined && (vars === null || typeof vars !== 'object' || Array.isArray(vars)))
+      throw new CampaignError(`recipients[${i}].vars must be an object`);
+    return { phone, locale, vars: vars ?? rest };
+  });
+}
+
+function rowsFromCsv(text) {
+  const [header, ...records] = parseCsv(text).filter(r => r.some(cell => cell.trim()));
+  if (!header) throw new CampaignError('The CSV is empty');
+  const columns  = header.map(h => h.trim());
+  const phoneCol = columns.findIndex(c => c.toLowerCase() === 'phone');
+  if (phoneCol < 0) throw new CampaignError('The CSV needs a "phone" column in its header row');
+  const localeCol = columns.findIndex(c => c.toLowerCase() === 'locale');
+
+  return records.map(cells => {
+    const vars = {};
+    columns.forEach((column, i) => {
+      const value = (cells[i] ?? '').trim();
+      if (i !== phoneCol && i !== localeCol && column && value) vars[column] = value;
+    });
+    return { phone: cells[phoneCol], locale: localeCol < 0 ? undefined : cells[localeCol]?.trim(), vars };
+  });
+}
+
+// RFC 4180: quoted fields may hold commas, quotes ("") and line breaks.
+// Spreadsheets set to a comma-decimal locale export ";" — detected from the
+// header line.
+function parseCsv(text) {
+  text = text.replace(/^\uFEFF/, '');
+  const firstLine = text.slice(0, text.search(/\r?\n|$/));
+  const sep = firstLine.includes(';') && !firstLine.includes(',') ? ';' : ',';
+
+  const rows = [];
+  let row = [], cell = '', quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') { cell += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else cell += c;
+    } else if (c === '"' && !cell) quoted = true;
+    else if (c === sep) { row.push(cell); cell = ''; }
+    else if (c === '\n' || c === '\r') {
+      if (c === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell); rows.push(row); row = []; cell = '';
+    } else cell += c;
+  }
+  if (quoted) throw new CampaignError('The CSV has an unterminated quoted field');
+  if (cell || row.length) { row.push(cell); rows.push(row); }
+  return rows;
+}
+
+// The report as CSV text
+export function reportCsv(rows) {
+  const quote = (value) => {
+    const s = value instanceof Date ? value.toISOString() : String(value ?? '');
+    return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  };
+  const lines = [['row', 'phone', 'state', 'message_id', 'error', 'updated_at']]
+    .concat(rows.map(r => [r.row, r.phone, r.state, r.messageId, r.error, r.updatedAt]));
+  return lines.map(line => line.map(quote).join(',')).join('\r\n') + '\r\n';
+}
+
+function present({ _id, purgeAt, ...campaign }) {
+  return { id: _id, ...campaign };
+}
@@ -0,0 +1,100 @@
+import crypto from 'crypto';
+
+// ─── Archive encryption ───────────────────────────────────────────────────────
+// Session archives are a full login to the WhatsApp account, so they are
+// sealed with AES-256-GCM before they leave the process. Sealed layout:
+//
+//   "WWEA" | 0x01 | keyId length (1 byte) | keyId | IV (12) | ciphertext | tag (16)
+//
+// The key id travels with the archive, so after a rotation older archives are
+// still opened with the retired key (kept in `oldKeys`) until they are
+// re-sealed with the current one.
+
+const MAGIC      = Buffer.from('WWEA');
+const FORMAT     = 1;
+const IV_BYTES   = 12;
+const TAG_BYTES  = 16;
+const KEY_ID_RE  = /^[A-Za-z0-9._-]{1,64}$/;
+
+export class CipherError extends Error {}
+
+export class ArchiveCipher {
+  // keys: { [keyId]: Buffer(32) }, keyId: the one new archives are sealed with
+  constructor({ keyId, keys }) {
+    if (!keys[keyId]) throw new CipherError(`Encryption key "${keyId}" is not configured`);
+    this.keyId = keyId;
+    this._keys = keys;
+  }
+
+  seal(plain) {
+    const iv       = crypto.randomBytes(IV_BYTES);
+    const cipher   = crypto.createCipheriv('aes-256-gcm', this._keys[this.keyId], iv);
+    const keyId    = Buffer.from(this.keyId);
+    const header   = Buffer.concat([MAGIC, Buffer.from([FORMAT, keyId.length]), keyId]);
+    cipher.setAAD(header);   // a tampered key id fails authentication too
+    const body = Buffer.concat([cipher.update(plain), cipher.final()]);
+    return Buffer.concat([header, iv, body, cipher.getAuthTag()]);
+  }
+
+  // Returns the plaintext. Throws CipherError if the key is unknown or the
+  // archive was altered.
+  open(sealed) {
+    const { keyId, headerLength } = readHeader(sealed);
+    const key = this._keys[keyId];
+    if (!key) throw new CipherError(`No key configured for key id "${keyId}"`);
+
+    const iv   = sealed.subarray(headerLength, headerLength + IV_BYTES);
+    const body = sealed.subarray(headerLength + IV_BYTES, sealed.length - TAG_BYTES);
+    const tag  = sealed.subarray(sealed.length - TAG_BYTES);
+    try {
+      const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+      decipher.setAAD(sealed.subarray(0, headerLength));
+      decipher.setAuthTag(tag);
+      return Buffer.concat([decipher.update(body), decipher.final()]);
+    } catch {
+      throw new CipherError('Archive failed authentication (wrong key or corrupted)');
+    }
+  }
+}
+
+export function isSealed(buffer) {
+  return buffer.length >= MAGIC.length && buffer.subarray(0, MAGIC.length).equals(MAGIC);
+}
+
+// Key id a sealed archive was written with, or null for plaintext
+export function sealedKeyId(buffer) {
+  return isSealed(buffer) ? readHeader(buffer).keyId : null;
+}
+
+// "<64 hex chars>" or base64 of 32 bytes
+export function parseKey(value, name = 'key') {
+  const text = String(value || '').trim();
+  const key  = /^[0-9a-f]{64}$/i.test(text) ? Buffer.from(text, 'hex') : Buffer.from(text, 'base64');
+  if (key.length !== 32) throw new CipherError(`${name} must be 32 bytes, as 64 hex characters or base64`);
+  return key;
+}
+
+// "id:key,id:key" → { id: Buffer }
+export function parseKeyList(value) {
+  const keys = {};
+  for (const item of String(value || '').split(',').map(s => s.trim()).filter(Boolean)) {
+    const sep = item.indexOf(':');
+    const id  = item.slice(0, sep);
+    if (sep < 1 || !KEY_ID_RE.test(id)) throw new CipherError(`"${item.slice(0, 12)}…" must look like <keyId>:<key>`);
+    keys[id] = parseKey(item.slice(sep + 1), `key "${id}"`);
+  }
+  return keys;
+}
+
+export function validKeyId(keyId) {
+  return KEY_ID_RE.test(String(keyId || ''));
+}
+
+function readHeader(buffer) {
+  if (!isSealed(buffer) || buffer[MAGIC.length] !== FORMAT)
+    throw new CipherError('Not a sealed archive');
+  const idLength     = buffer[MAGIC.length + 1];
+  const headerLength = MAGIC.length + 2 + idLength;
+  if (buffer.length < headerLength + IV_BYTES + TAG_BYTES) throw new CipherError('Sealed archive is truncated');
+  return { keyId: buffer.subarray(MAGIC.length + 2, headerLength).toString(), headerLength };
+}
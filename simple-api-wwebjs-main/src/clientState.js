@@ -0,0 +1,77 @@
+import { EventEmitter } from 'events';
+
+// ─── Client state machine ─────────────────────────────────────────────────────
+// One per session: the single answer to "what is this WhatsApp client doing".
+// Transitions not listed in TRANSITIONS are refused and logged, so a late or
+// duplicate client event can't flip a READY client back to AUTHENTICATING.
+// Every accepted transition is timestamped, logged with its reason, kept in a
+// short history and emitted as 'change' ({ from, to, reason, at }).
+
+export const ClientState = Object.freeze({
+  BOOTING:             'BOOTING',
+  RESTORING_SESSION:   'RESTORING_SESSION',
+  WAITING_FOR_QR:      'WAITING_FOR_QR',
+  WAITING_FOR_PAIRING: 'WAITING_FOR_PAIRING',
+  AUTHENTICATING:      'AUTHENTICATING',
+  READY:               'READY',
+  DISCONNECTED:        'DISCONNECTED',
+  FAILED:              'FAILED',
+});
+
+const S = ClientState;
+const TRANSITIONS = {
+  [S.BOOTING]:             [S.RESTORING_SESSION, S.DISCONNECTED, S.FAILED],
+  [S.RESTORING_SESSION]:   [S.WAITING_FOR_QR, S.AUTHENTICATING, S.READY, S.DISCONNECTED, S.FAILED],
+  [S.WAITING_FOR_QR]:      [S.WAITING_FOR_PAIRING, S.AUTHENTICATING, S.READY, S.DISCONNECTED, S.FAILED],
+  // A pairing code was requested instead of scanning the QR
+  [S.WAITING_FOR_PAIRING]: [S.AUTHENTICATING, S.READY, S.DISCONNECTED, S.FAILED],
+  [S.AUTHENTICATING]:      [S.WAITING_FOR_QR, S.READY, S.DISCONNECTED, S.FAILED],
+  [S.READY]:               [S.DISCONNECTED, S.FAILED],
+  [S.DISCONNECTED]:        [S.RESTORING_SESSION, S.FAILED],
+  // restartOnAuthFail: after an auth_failure the client re-initializes itself
+  [S.FAILED]:              [S.RESTORING_SESSION, S.WAITING_FOR_QR, S.DISCONNECTED],
+};
+
+// States in which the client is on its way up
+const STARTING = [S.BOOTING, S.RESTORING_SESSION, S.AUTHENTICATING];
+
+const HISTORY_SIZE = 50;
+
+export class ClientStateMachine extends EventEmitter {
+  constructor(label) {
+    super();
+    this._label   = label;
+    this.state    = S.BOOTING;
+    this.since    = new Date();
+    this._history = [{ from: null, to: S.BOOTING, reason: 'created', at: this.since }];
+  }
+
+  get starting() { return STARTING.includes(this.state); }
+
+  can(to) {
+    return TRANSITIONS[this.state].includes(to);
+  }
+
+  // Returns false (and changes nothing) when the transition isn't allowed
+  transition(to, reason = '') {
+    if (!TRANSITIONS[to]) throw new Error(`Unknown client state "${to}"`);
+    if (to === this.state) return false;
+    if (!this.can(to)) {
+      console.warn(`⚠️  [${this._label}] Ignored state change ${this.state} → ${to}${reason ? ` (${reason})` : ''}`);
+      return false;
+    }
+    const change = { from: this.state, to, reason: String(reason), at: new Date() };
+    this.state = to;
+    this.since = change.at;
+    this._history.push(change);
+    if (this._history.length > HISTORY_SIZE) this._history.shift();
+    console.log(`🔀 [${this._label}] ${change.from} → ${to}${reason ? ` (${reason})` : ''}`);
+    this.emit('change', change);
+    return true;
+  }
+
+  // Most recent first
+  history(limit = 20) {
+    return this._history.slice(-limit).reverse();
+  }
+}
@@ -0,0 +1,103 @@
+import crypto from 'crypto';
+
+// ─── Idempotency keys ─────────────────────────────────────────────────────────
+// A caller that retries a send after a timeout passes the same
+// Idempotency-Key (or `clientRef`), and gets the first request's answer
+// instead of a second message. Records live in `idempotency_keys`, one per
+// (API key, endpoint, idempotency key), holding a hash of the request and the
+// response once there is one. A TTL index drops them after `ttlMs`.
+//
+// A record without a response belongs to a request still in progress. If that
+// request never finished (the process died), the record is taken over after
+// PENDING_STALE_MS.
+
+const KEY_RE           = /^[\x21-\x7e]{1,255}$/;   // printable ASCII, no spaces
+const PENDING_STALE_MS = 60_000;
+
+export class IdempotencyError extends Error {
+  constructor(code, message, status = 400) {
+    super(message);
+    this.code   = code;
+    this.status = status;
+  }
+}
+
+export class IdempotencyStore {
+  constructor(db, { ttlMs = 24 * 3600_000 } = {}) {
+    this._col   = db.collection('idempotency_keys');
+    this._ttlMs = ttlMs;
+  }
+
+  async init() {
+    await this._col.createIndex({ purgeAt: 1 }, { expireAfterSeconds: 0 });
+    console.log(`[Idempotency] Keys kept ${Math.round(this._ttlMs / 3600_000)}h ✓`);
+  }
+
+  // Claim `key` for a request with this fingerprint. Returns null when the
+  // caller should go ahead, or the stored { status, body } to answer with.
+  async begin(scope, key, fingerprint) {
+    if (!KEY_RE.test(key))
+      throw new IdempotencyError('invalid_idempotency_key', 'Idempotency-Key must be 1-255 printable ASCII characters without spaces');
+
+    const id  = `${scope}:${key}`;
+    const now = new Date();
+    try {
+      await this._col.insertOne({ _id: id, fingerprint, createdAt: now, purgeAt: this._purgeAt(now) });
+      return null;
+    } catch (err) {
+      if (err.code !== 11000) throw err;
+    }
+
+    const existing = await this._col.findOne({ _id: id });
+    if (!existing) return this.begin(scope, key, fingerprint);   // purged meanwhile
+    if (existing.fingerprint !== fingerprint)
+      throw new IdempotencyError('idempotency_key_reused',
+        'This Idempotency-Key was already used for a different request — use a new key for a new message', 422);
+    if (existing.response) return existing.response;
+
+    const taken = await this._col.findOneAndUpdate(
+      { _id: id, response: null, createdAt: { $lte: new Date(now.getTime() - PENDING_STALE_MS) } },
+      { $set: { createdAt: now, purgeAt: this._purgeAt(now) } }
+    );
+    if (taken) return null;
+    throw new IdempotencyError('idempotency_key_in_progress',
+      'A request with this Idempotency-Key is still in progress — retry shortly', 409);
+  }
+
+  // Keep the response for replays
+  async finish(scope, key, { status, body }) {
+    await this._col.updateOne(
+      { _id: `${scope}:${key}` },
+      { $set: { response: { status, body }, completedAt: new Date() } }
+    );
+  }
+
+  // The request failed without queueing anything: free the key so the
+  // caller can fix the request and try again with it
+  async release(scope, key) {
+    await this._col.deleteOne({ _id: `${scope}:${key}`, response: null });
+  }
+
+  _purgeAt(from) {
+    return new Date(from.getTime() + this._ttlMs);
+  }
+}
+
+// SHA-256 of the request: the body with its keys sorted (so field order
+// doesn't matter) and the uploaded file, if any
+export function requestFingerprint(body, file) {
+  const hash = crypto.createHash('sha256').update(canonicalJson(body ?? {}));
+  if (file) hash.update('\0').update(file.buffer);
+  return hash.digest('hex');
+}
+
+function canonicalJson(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    const entries = Object.keys(value).sort()
+      .filter(k => value[k] !== undefined)
+      .map(k => `${JSON.stringify(k)}:${canonicalJson(value[k])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value) ?? 'null';
+}
@@ -0,0 +1,59 @@
+// ─── Inbox ────────────────────────────────────────────────────────────────────
+// Every message users send to one of our numbers is stored in
+// `inbound_messages` (keyed by WhatsApp message id, so a replayed event is
+// stored once) together with the auto-reply rule it triggered, if any.
+
+export class InboxService {
+  constructor(db, { retentionMs = 30 * 24 * 3600_000 } = {}) {
+    this._col         = db.collection('inbound_messages');
+    this._retentionMs = retentionMs;
+  }
+
+  async init() {
+    await this._col.createIndex({ phone: 1, receivedAt: -1 });
+    await this._col.createIndex({ sessionId: 1, receivedAt: -1 });
+    await this._col.createIndex({ purgeAt: 1 }, { expireAfterSeconds: 0 });
+    console.log('[Inbox] Collection ready ✓');
+  }
+
+  // Returns false if this message id was already stored
+  async record({ waMessageId, sessionId, from, phone, type, body, hasMedia, timestamp }) {
+    const now = new Date();
+    const { upsertedCount } = await this._col.updateOne(
+      { _id: waMessageId },
+      {
+        $setOnInsert: {
+          sessionId,
+          from,
+          phone:      phone || null,
+          type,
+          body:       body || '',
+          hasMedia:   !!hasMedia,
+          sentAt:     timestamp ? new Date(timestamp * 1000) : now,
+          receivedAt: now,
+          purgeAt:    new Date(now.getTime() + this._retentionMs),
+        },
+      },
+      { upsert: true }
+    );
+    return upsertedCount > 0;
+  }
+
+  async markHandled(waMessageId, { ruleId, action, result, error }) {
+    await this._col.updateOne(
+      { _id: waMessageId },
+      { $set: { rule: { id: ruleId, action, result: result ?? null, error: error ?? null, at: new Date() } } }
+    );
+  }
+
+  async list({ phone, sessionId, limit = 50 } = {}) {
+    const filter = {};
+    if (phone)     filter.phone     = String(phone);
+    if (sessionId) filter.sessionId = String(sessionId);
+    const docs = await this._col.find(filter)
+      .sort({ receivedAt: -1 })
+      .limit(Math.min(Number(limit) || 50, 500))
+      .toArray();
+    return docs.map(({ _id, purgeAt, ...msg }) => ({ waMessageId: _id, ...msg }));
+  }
+}
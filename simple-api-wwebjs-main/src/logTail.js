@@ -0,0 +1,41 @@
+import { EventEmitter } from 'events';
+import util from 'util';
+
+// ─── Log tail ─────────────────────────────────────────────────────────────────
+// The last few hundred console lines, kept in memory for the operator
+// dashboard. console.log/warn/error still write where they always did; each
+// line is also recorded and emitted as 'line' ({ seq, at, level, text }).
+
+const LEVELS = { log: 'info', info: 'info', warn: 'warn', error: 'error' };
+
+export class LogTail extends EventEmitter {
+  constructor({ size = 500 } = {}) {
+    super();
+    this._size  = size;
+    this._lines = [];
+    this._seq   = 0;
+  }
+
+  // Wrap the console methods of `target` so their output is recorded too
+  capture(target = console) {
+    for (const [method, level] of Object.entries(LEVELS)) {
+      const write = target[method].bind(target);
+      target[method] = (...args) => {
+        write(...args);
+        this._record(level, args);
+      };
+    }
+  }
+
+  // Oldest first
+  lines(limit = this._size) {
+    return this._lines.slice(-limit);
+  }
+
+  _record(level, args) {
+    const line = { seq: ++this._seq, at: new Date(), level, text: util.format(...args) };
+    this._lines.push(line);
+    if (this._lines.length > this._size) this._lines.shift();
+    this.emit('line', line);
+  }
+}
@@ -0,0 +1,280 @@
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+import { GridFSBucket, ObjectId } from 'mongodb';
+
+// ─── Media ────────────────────────────────────────────────────────────────────
+// Attachments for queued messages (images, PDFs, audio). Whatever the source —
+// multipart upload, base64 or a URL fetched once at enqueue time — the bytes
+// are checked against the size/type limits and stored in the `media` GridFS
+// bucket, so a retry after a restart still has the file. Files are removed
+// once their message is sent; anything left over is pruned after retentionMs.
+//
+// URLs come from API callers, so they are only fetched from public addresses:
+// every host (and every redirect) is resolved first and refused if it points
+// at loopback, private, link-local or other internal ranges. The connection
+// then goes to the address that was checked — the host isn't resolved again.
+
+export const DEFAULT_MEDIA_TYPES = Object.freeze([
+  'image/jpeg',
+  'image/png',
+  'image/webp',
+  'application/pdf',
+  'audio/ogg',
+  'audio/mpeg',
+  'audio/mp4',
+  'audio/aac',
+]);
+
+const PRUNE_INTERVAL_MS = 3600_000;
+const MAX_REDIRECTS     = 5;
+
+// Never fetched: this host, private networks, cloud metadata (169.254.169.254)
+// and anything else that isn't the public internet. IPv4-mapped IPv6
+// addresses are matched against the IPv4 ranges.
+const BLOCKED = new net.BlockList();
+for (const [range, bits] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4],
+]) BLOCKED.addSubnet(range, bits, 'ipv4');
+for (const [range, bits] of [
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8],
+]) BLOCKED.addSubnet(range, bits, 'ipv6');
+
+// Magic numbers for the types we accept — the declared type is only trusted
+// when the bytes don't match any of these
+const SIGNATURES = [
+  { type: 'application/pdf', test: b => b.subarray(0, 5).toString('latin1') === '%PDF-' },
+  { type: 'image/png',       test: b => b.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  { type: 'image/jpeg',      test: b => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+  { type: 'image/webp',      test: b => b.subarray(0, 4).toString('latin1') === 'RIFF' && b.subarray(8, 12).toString('latin1') === 'WEBP' },
+  { type: 'audio/ogg',       test: b => b.subarray(0, 4).toString('latin1') === 'OggS' },
+  { type: 'audio/mpeg',      test: b => b.subarray(0, 3).toString('latin1') === 'ID3' || (b[0] === 0xff && (b[1] & 0xe0) === 0xe0) },
+  { type: 'audio/mp4',       test: b => b.subarray(4, 8).toString('latin1') === 'ftyp' },
+];
+
+export class MediaError extends Error {
+  constructor(code, message, status = 400) {
+    super(message);
+    this.code   = code;
+    this.status = status;
+  }
+}
+
+export class MediaStore {
+  constructor(db, {
+    maxBytes       = 16 * 1024 * 1024,
+    allowedTypes   = DEFAULT_MEDIA_TYPES,
+    fetchTimeoutMs = 20_000,
+    retentionMs    = 7 * 24 * 3600_000,
+  } = {}) {
+    this._bucket         = new GridFSBucket(db, { bucketName: 'media' });
+    this._maxBytes       = maxBytes;
+    this._allowedTypes   = allowedTypes;
+    this._fetchTimeoutMs = fetchTimeoutMs;
+    this._retentionMs    = retentionMs;
+    this._timer          = null;
+  }
+
+  get maxBytes() { return this._maxBytes; }
+
+  init() {
+    console.log(`[Media] Max ${Math.round(this._maxBytes / 1024 / 1024)} MB, types: ${this._allowedTypes.join(', ')} ✓`);
+  }
+
+  start() {
+    if (this._timer) return;
+    this._timer = setInterval(() => this.prune().catch(err =>
+      console.error('❌ [Media] prune error:', err.message)
+    ), PRUNE_INTERVAL_MS);
+  }
+
+  stop() {
+    clearInterval(this._timer);
+    this._timer = null;
+  }
+
+  // Turn a request's attachment into { data, mimetype, filename, size }.
+  // `file` is a multer upload; `media` is { url } or { data, mimetype?, filename? }
+  // where data is plain base64 or a data: URL. Throws MediaError.
+  async prepare({ file, media, filename }) {
+    let data, declared, name = filename;
+    if (file) {
+      data     = file.buffer;
+      declared = file.mimetype;
+      name   ||= file.originalname;
+    } else if (media?.url) {
+      ({ data, declared } = await this._fetch(media.url));
+      name ||= media.filename || fileNameFromUrl(media.url);
+    } else if (media?.data) {
+      ({ data, declared } = decodeBase64(media.data, media.mimetype));
+      name ||= media.filename;
+    } else {
+      throw new MediaError('invalid_media', 'media needs a file upload, { url } or { data }');
+    }
+
+    if (!data.length) throw new MediaError('invalid_media', 'media is empty');
+    this._checkSize(data.length);
+
+    const mimetype = sniffType(data) || String(declared || '').split(';')[0].trim().toLowerCase();
+    if (!this._allowedTypes.includes(mimetype))
+      throw new MediaError('media_type_not_allowed', `media type "${mimetype || 'unknown'}" is not allowed`, 415);
+
+    return { data, mimetype, filename: name ? String(name).slice(0, 255) : undefined, size: data.length };
+  }
+
+  // Persist prepared media; returns the descriptor stored on the queue item
+  async save({ data, mimetype, filename, size }) {
+    const upload = this._bucket.openUploadStream(filename || 'attachment', { metadata: { mimetype } });
+    await new Promise((resolve, reject) => {
+      upload.once('finish', resolve);
+      upload.once('error', reject);
+      upload.end(data);
+    });
+    return { id: String(upload.id), mimetype, filename, size };
+  }
+
+  // Returns the file as base64, ready for MessageMedia. Throws MediaError
+  // ('media_missing') if it was pruned or deleted.
+  async load(id) {
+    const chunks = [];
+    try {
+      for await (const chunk of this._bucket.openDownloadStream(toObjectId(id))) chunks.push(chunk);
+    } catch (err) {
+      if (/FileNotFound/i.test(err.message)) {
+        const missing = new MediaError('media_missing', `media ${id} is no longer stored`, 410);
+        missing.permanent = true;   // retrying can't bring it back
+        throw missing;
+      }
+      throw err;
+    }
+    return Buffer.concat(chunks).toString('base64');
+  }
+
+  async exists(id) {
+    return this._bucket.find({ _id: toObjectId(id) }).limit(1).hasNext();
+  }
+
+  async remove(id) {
+    try { await this._bucket.delete(toObjectId(id)); } catch {}
+  }
+
+  async prune() {
+    const cutoff = new Date(Date.now() - this._retentionMs);
+    const files  = await this._bucket.find({ uploadDate: { $lt: cutoff } }).toArray();
+    for (const file of files) await this.remove(String(file._id));
+    if (files.length) console.log(`🧹 [Media] Pruned ${files.length} file(s) older than ${Math.round(this._retentionMs / 3600_000)}h`);
+    return files.length;
+  }
+
+  _checkSize(size) {
+    if (size > this._maxBytes)
+      throw new MediaError('media_too_large', `media is larger than ${this._maxBytes} bytes`, 413);
+  }
+
+  // Redirects are followed by hand so each hop's host is checked too; the
+  // timeout covers the whole chain
+  async _fetch(url) {
+    const signal = AbortSignal.timeout(this._fetchTimeoutMs);
+    let res, target;
+    for (let hops = 0; ; hops++) {
+      target = await checkUrl(url);
+      try {
+        res = await get(target, signal);
+      } catch (err) {
+        throw new MediaError('media_fetch_failed', `could not fetch media: ${err.message}`, 422);
+      }
+      const location = res.headers.location;
+      if (res.statusCode < 300 || res.statusCode >= 400 || !location) break;
+      res.destroy();
+      if (hops >= MAX_REDIRECTS)
+        throw new MediaError('media_fetch_failed', `could not fetch media: more than ${MAX_REDIRECTS} redirects`, 422);
+      url = new URL(location, target.url).href;
+    }
+
+    try {
+      if (res.statusCode < 200 || res.statusCode >= 300)
+        throw new MediaError('media_fetch_failed', `could not fetch media: HTTP ${res.statusCode}`, 422);
+
+      const length = Number(res.headers['content-length']);
+      if (length) this._checkSize(length);
+
+      // Stop reading as soon as the limit is passed — content-length can lie
+      const chunks = [];
+      let size = 0;
+      for await (const chunk of res) {
+        size += chunk.length;
+        this._checkSize(size);
+        chunks.push(chunk);
+      }
+      return { data: Buffer.concat(chunks), declared: res.headers['content-type'] };
+    } catch (err) {
+      res.destroy();
+      if (err instanceof MediaError) throw err;
+      throw new MediaError('media_fetch_failed', `could not fetch media: ${err.message}`, 422);
+    }
+  }
+}
+
+// Parse an http(s) URL and make sure every address its host resolves to is
+// public. Returns the URL and the checked address to connect to.
+async function checkUrl(input) {
+  let url;
+  try {
+    url = new URL(String(input));
+  } catch {
+    url = null;
+  }
+  if (!url || !['http:', 'https:'].includes(url.protocol))
+    throw new MediaError('invalid_media', 'media.url must be an http(s) URL');
+
+  const host = url.hostname.replace(/^\[|\]$/g, '');
+  let addresses;
+  try {
+    addresses = await dns.promises.lookup(host, { all: true, verbatim: true });
+  } catch (err) {
+    throw new MediaError('media_fetch_failed', `could not fetch media: ${host} does not resolve (${err.code || err.message})`, 422);
+  }
+  if (!addresses.length || addresses.some(({ address, family }) => BLOCKED.check(address, family === 6 ? 'ipv6' : 'ipv4')))
+    throw new MediaError('media_url_not_allowed', `media.url must point to a public address, not ${host}`, 422);
+  return { url, address: addresses[0].address, family: addresses[0].family };
+}
+
+// GET a URL checked by checkUrl(). The lookup hands the socket the address
+// that was checked instead of resolving the host a second time; the Host
+// header and TLS server name still come from the URL.
+function get({ url, address, family }, signal) {
+  const lookup = (hostname, options, callback) => options.all
+    ? callback(null, [{ address, family }])
+    : callback(null, address, family);
+  const client = url.protocol === 'https:' ? https : http;
+  return new Promise((resolve, reject) => {
+    client.get(url, { signal, lookup }, resolve).on('error', reject);
+  });
+}
+
+function decodeBase64(input, mimetype) {
+  const match = /^data:([^;,]+)?(?:;[^,]*)?;base64,(.*)$/s.exec(String(input));
+  const body  = (match ? match[2] : String(input)).replace(/\s/g, '');
+  if (!/^[A-Za-z0-9+/]*={0,2}$/.test(body))
+    throw new MediaError('invalid_media', 'media.data is not valid base64');
+  return { data: Buffer.from(body, 'base64'), declared: mimetype || match?.[1] };
+}
+
+function sniffType(data) {
+  return SIGNATURES.find(s => s.test(data))?.type;
+}
+
+function fileNameFromUrl(url) {
+  try {
+    return decodeURIComponent(new URL(url).pathname.split('/').pop()) || undefined;
+  } catch {
+    return undefined;
+  }
+}
+
+// GridFS ids are ObjectIds; keep accepting whatever the bucket handed out
+function toObjectId(id) {
+  return ObjectId.isValid?.(id) ? new ObjectId(id) : id;
+}
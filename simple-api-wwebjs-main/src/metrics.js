@@ -0,0 +1,127 @@
+import crypto from 'crypto';
+import client from 'prom-client';
+
+// ─── Metrics ──────────────────────────────────────────────────────────────────
+// Prometheus metrics served on /metrics. Counters and histograms are fed from
+// the places that already log the event; queue depth is counted in MongoDB
+// at scrape time, so every instance reports the same numbers.
+//
+// Time per client state is accumulated as events arrive and topped up on each
+// scrape, so a client stuck in one state still shows it growing.
+
+const SEND_BUCKETS  = [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+const DELAY_BUCKETS = [1, 5, 15, 30, 60, 300, 900, 3600, 21600];
+const SAVE_BUCKETS  = [0.1, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+export class Metrics {
+  // queueDepth: async () => [{ sessionId, state, count }]
+  constructor({ token, queueDepth, prefix = 'wa_' }) {
+    this._token    = token;
+    this._states   = new Map();   // sessionId → { state, since }
+    this.registry  = new client.Registry();
+    client.collectDefaultMetrics({ register: this.registry, prefix });
+
+    const metric = (Type, name, help, labelNames, extra = {}) =>
+      new Type({ name: prefix + name, help, labelNames, registers: [this.registry], ...extra });
+
+    metric(client.Gauge, 'queue_depth', 'Queue items by session and state', ['session', 'state'], {
+      async collect() {
+        this.reset();
+        for (const { sessionId, state, count } of await queueDepth()) this.set({ session: sessionId, state }, count);
+      },
+    });
+    this._enqueued = metric(client.Counter, 'messages_enqueued_total', 'Messages accepted into the queue', ['session', 'kind']);
+    this._sent     = metric(client.Counter, 'messages_sent_total', 'Messages handed to WhatsApp', ['session', 'kind']);
+    this._failed   = metric(client.Counter, 'messages_failed_total', 'Failed send attempts and retired messages, by reason', ['session', 'kind', 'reason']);
+    this._sendTime = metric(client.Histogram, 'send_duration_seconds', 'Time for WhatsApp to accept one message', ['session'], { buckets: SEND_BUCKETS });
+    this._delay    = metric(client.Histogram, 'message_delay_seconds', 'Time from enqueue (or sendAt) to sent', ['session', 'kind'], { buckets: DELAY_BUCKETS });
+    this._qr       = metric(client.Counter, 'qr_generated_total', 'QR codes generated while waiting for a scan', ['session']);
+    this._reconnects = metric(client.Counter, 'reconnects_total', 'Client disconnects followed by a re-initialize', ['session', 'reason']);
+    this._saveTime = metric(client.Histogram, 'session_save_duration_seconds', 'Time to archive and store a session backup', ['session'], { buckets: SAVE_BUCKETS });
+    this._saveSize = metric(client.Gauge, 'session_save_bytes', 'Size of the latest stored session archive', ['session']);
+    this._state    = metric(client.Gauge, 'client_state', '1 for the state each client is in', ['session', 'state']);
+
+    const states = this._states;
+    this._stateTime = metric(client.Counter, 'client_state_seconds_total', 'Time spent by each client in each state', ['session', 'state'], {
+      collect() {
+        const now = Date.now();
+        for (const [sessionId, entry] of states) {
+          this.inc({ session: sessionId, state: entry.state }, (now - entry.since) / 1000);
+          entry.since = now;
+        }
+      },
+    });
+  }
+
+  get contentType() { return this.registry.contentType; }
+
+  // Bearer token separate from API keys, so a scraper can't send messages
+  authorize(token) {
+    if (!this._token || !token) return false;
+    const x = crypto.createHash('sha256').update(String(token)).digest();
+    const y = crypto.createHash('sha256').update(this._token).digest();
+    return crypto.timingSafeEqual(x, y);
+  }
+
+  render() {
+    return this.registry.metrics();
+  }
+
+  enqueued(sessionId, kind) {
+    this._enqueued.inc({ session: sessionId, kind: kind || 'message' });
+  }
+
+  sent(sessionId, kind, { sendMs, since }) {
+    this._sent.inc({ session: sessionId, kind: kind || 'message' });
+    this._sendTime.observe({ session: sessionId }, sendMs / 1000);
+    if (since) this._delay.observe({ session: sessionId, kind: kind || 'message' }, (Date.now() - new Date(since).getTime()) / 1000);
+  }
+
+  failed(sessionId, kind, reason) {
+    this._failed.inc({ session: sessionId, kind: kind || 'message', reason });
+  }
+
+  qr(sessionId) {
+    this._qr.inc({ session: sessionId });
+  }
+
+  reconnect(sessionId, reason) {
+    this._reconnects.inc({ session: sessionId, reason: String(reason || 'unknown') });
+  }
+
+  sessionSaved(sessionId, { durationMs, bytes }) {
+    this._saveTime.observe({ session: sessionId }, durationMs / 1000);
+    this._saveSize.set({ session: sessionId }, bytes);
+  }
+
+  clientState(sessionId, state) {
+    const now   = Date.now();
+    const entry = this._states.get(sessionId);
+    if (entry?.state === state) return;
+    if (entry) {
+      this._stateTime.inc({ session: sessionId, state: entry.state }, (now - entry.since) / 1000);
+      this._state.set({ session: sessionId, state: entry.state }, 0);
+    }
+    this._states.set(sessionId, { state, since: now });
+    this._state.set({ session: sessionId, state }, 1);
+  }
+
+  // Forget a removed session so none of its series are reported any more.
+  // Queue depth needs nothing: it is recounted for live sessions on each scrape.
+  async dropSession(sessionId) {
+    this._states.delete(sessionId);
+    const labelled = [this._enqueued, this._sent, this._failed, this._sendTime, this._delay, this._qr,
+      this._reconnects, this._saveTime, this._saveSize, this._state, this._stateTime];
+    for (const metric of labelled) {
+      const seen = new Set();
+      for (const { labels } of (await metric.get()).values) {
+        if (labels.session !== sessionId) continue;
+        const { le, ...series } = labels;   // histogram buckets belong to one series
+        const key = JSON.stringify(series);
+        if (seen.has(key)) continue;
+        seen.add(key);
+        metric.remove(series);
+      }
+    }
+  }
+}
@@ -0,0 +1,64 @@
+import crypto from 'crypto';
+
+// ─── Operator sign-in ─────────────────────────────────────────────────────────
+// Operators sign in to the dashboard with an API key that has the `admin`
+// scope. The key itself is never put in the cookie: the cookie holds the key
+// id, its name and an expiry, signed with HMAC-SHA256. Whoever checks the
+// cookie also looks the key up again, so revoking the key signs its
+// operators out.
+//
+// Dashboard requests that change something must also send the CSRF token
+// derived from the cookie (X-CSRF-Token), which another site can't read.
+
+export const OPERATOR_COOKIE = 'wa_operator';
+
+export class OperatorSessions {
+  // secret: DASHBOARD_SECRET. Without one a random secret is used, and
+  // operators have to sign in again after every restart.
+  constructor({ secret = '', ttlMs = 12 * 3600_000 } = {}) {
+    this.ephemeral = !secret;
+    this.ttlMs     = ttlMs;
+    this._secret   = secret ? Buffer.from(secret) : crypto.randomBytes(32);
+  }
+
+  // Cookie value for an authenticated key
+  issue(key) {
+    const payload = Buffer.from(JSON.stringify({
+      kid:  key.id,
+      name: key.name,
+      exp:  Date.now() + this.ttlMs,
+    })).toString('base64url');
+    return `${payload}.${this._sign(payload)}`;
+  }
+
+  // { keyId, name, expiresAt }, or null if the cookie is forged or expired
+  verify(token) {
+    const [payload, signature] = String(token || '').split('.');
+    if (!payload || !signature || !safeEqual(signature, this._sign(payload))) return null;
+    try {
+      const { kid, name, exp } = JSON.parse(Buffer.from(payload, 'base64url').toString());
+      if (!kid || !(exp > Date.now())) return null;
+      return { keyId: kid, name, expiresAt: new Date(exp) };
+    } catch {
+      return null;
+    }
+  }
+
+  csrfToken(token) {
+    return this._sign(`csrf.${token}`);
+  }
+
+  checkCsrf(token, presented) {
+    return !!presented && safeEqual(String(presented), this.csrfToken(token));
+  }
+
+  _sign(value) {
+    return crypto.createHmac('sha256', this._secret).update(value).digest('base64url');
+  }
+}
+
+function safeEqual(a, b) {
+  const x = crypto.createHash('sha256').update(a).digest();
+  const y = crypto.createHash('sha256').update(b).digest();
+  return crypto.timingSafeEqual(x, y);
+}
@@ -0,0 +1,200 @@
+import crypto from 'crypto';
+
+// ─── OTP ──────────────────────────────────────────────────────────────────────
+// Codes are never stored in clear: each record keeps a random salt and an
+// HMAC-SHA256 of the code. Records expire through a MongoDB TTL index.
+
+export class OtpError extends Error {
+  constructor(code, message, status = 400, extra = {}) {
+    super(message);
+    this.code   = code;
+    this.status = status;
+    Object.assign(this, extra);
+  }
+}
+
+export class OtpService {
+  constructor(db, {
+    length           = 6,
+    ttlMs            = 300_000,
+    maxAttempts      = 5,
+    resendCooldownMs = 60_000,
+    lockMs           = 900_000,
+    secret           = '',
+  } = {}) {
+    this._col    = db.collection('otp_codes');
+    this._length = length;
+    this._ttlMs  = ttlMs;
+    this._maxAttempts      = maxAttempts;
+    this._resendCooldownMs = resendCooldownMs;
+    this._lockMs = lockMs;
+    this._secret = secret;
+  }
+
+  get ttlMs() { return this._ttlMs; }
+
+  async init() {
+    await this._col.createIndex({ phone: 1, purpose: 1 }, { unique: true });
+    await this._col.createIndex({ purgeAt: 1 }, { expireAfterSeconds: 0 });
+    await this._col.createIndex({ phone: 1, lastSentAt: -1 });
+    console.log('[OTP] Collection ready ✓');
+    if (!this._secret)
+      console.warn('⚠️  [OTP] OTP_SECRET is not set — anyone who can read the database can brute-force the stored codes');
+  }
+
+  // Generate a fresh code for phone/purpose. Returns the clear code so the
+  // caller can put it in the outgoing message — it is never persisted.
+  // `delivery` (session, template, locale, vars) is kept so the code can be
+  // re-issued the same way later — see latest().
+  //
+  // The lock and cooldown are checked again in the write itself, so of two
+  // requests racing for the same number only one sends a code.
+  async issue(phone, purpose = 'default', delivery = {}) {
+    const now = new Date();
+    this._refuse(await this._col.findOne({ phone, purpose }), now);
+
+    const code      = this._generateCode();
+    const salt      = crypto.randomBytes(16).toString('hex');
+    const expiresAt = new Date(now.getTime() + this._ttlMs);
+
+    try {
+      await this._col.updateOne({ phone, purpose }, { $setOnInsert: { createdAt: now } }, { upsert: true });
+    } catch (err) {
+      if (err.code !== 11000) throw err;   // created by a concurrent request
+    }
+    const { matchedCount } = await this._col.updateOne(
+      {
+        phone,
+        purpose,
+        $and: [
+          { $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }] },
+          { $or: [{ lastSentAt: null }, { lastSentAt: { $lte: new Date(now.getTime() - this._resendCooldownMs) } }] },
+        ],
+      },
+      {
+        $set: {
+          hash: this._hash(code, salt),
+          salt,
+          attempts:    0,
+          maxAttempts: this._maxAttempts,
+          expiresAt,
+          lastSentAt:  now,
+          lockedUntil: null,
+          delivery,
+          purgeAt:     laterOf(expiresAt, new Date(now.getTime() + this._resendCooldownMs)),
+        },
+        $inc: { sendCount: 1 },
+      }
+    );
+    if (!matchedCount) {
+      this._refuse(await this._col.findOne({ phone, purpose }), new Date());
+      throw new OtpError('cooldown', 'A code was sent recently — wait before requesting another', 429,
+        { retryAfter: Math.ceil(this._resendCooldownMs / 1000) });
+    }
+
+    return { code, expiresAt };
+  }
+
+  // The most recently sent, not yet verified code for a number (expired or
+  // not) — used to answer "resend my code". Null if there is none.
+  async latest(phone) {
+    const [record] = await this._col.find({ phone, hash: { $exists: true } })
+      .sort({ lastSentAt: -1 })
+      .limit(1)
+      .toArray();
+    if (!record) return null;
+    return { purpose: record.purpose, delivery: record.delivery || {}, expiresAt: record.expiresAt, lastSentAt: record.lastSentAt };
+  }
+
+  // Check a submitted code. Successful verification consumes the record.
+  async verify(phone, code, purpose = 'default') {
+    const now = new Date();
+    // Reserve the attempt before comparing, so guesses sent in parallel
+    // can't all be checked against the same attempt count
+    const record = await this._col.findOneAndUpdate(
+      {
+        phone,
+        purpose,
+        hash:      { $exists: true },
+        expiresAt: { $gt: now },
+        attempts:  { $lt: this._maxAttempts },
+        $or:       [{ lockedUntil: null }, { lockedUntil: { $lte: now } }],
+      },
+      { $inc: { attempts: 1 } },
+      { returnDocument: 'after' }
+    );
+    if (!record) throw await this._verifyRefusal(phone, purpose, now);
+
+    if (this._matches(String(code), record)) {
+      const { deletedCount } = await this._col.deleteOne({ _id: record._id, hash: record.hash });
+      if (deletedCount === 0)
+        throw new OtpError('expired', 'No active code for this number — request a new one', 400);
+      return { verified: true };
+    }
+
+    const remaining = Math.max(0, this._maxAttempts - record.attempts);
+    if (remaining === 0) {
+      const lockedUntil = new Date(now.getTime() + this._lockMs);
+      await this._col.updateOne(
+        { _id: record._id },
+        { $set: { lockedUntil, purgeAt: laterOf(record.purgeAt, lockedUntil) }, $unset: { hash: '', salt: '' } }
+      );
+      throw new OtpError('locked', 'Too many failed attempts — try again later', 429,
+        { retryAfter: secondsUntil(lockedUntil) });
+    }
+
+    throw new OtpError('invalid', 'Invalid code', 400, { attemptsRemaining: remaining });
+  }
+
+  // Why no attempt could be reserved: locked (or about to be, by the guess
+  // that used the last attempt), or no code to check
+  async _verifyRefusal(phone, purpose, now) {
+    const record = await this._col.findOne({ phone, purpose });
+    if (record?.lockedUntil && record.lockedUntil > now)
+      return new OtpError('locked', 'Too many failed attempts — try again later', 429,
+        { retryAfter: secondsUntil(record.lockedUntil) });
+    if (record?.hash && record.expiresAt > now)
+      return new OtpError('locked', 'Too many failed attempts — try again later', 429,
+        { retryAfter: Math.ceil(this._lockMs / 1000) });
+    return new OtpError('expired', 'No active code for this number — request a new one', 400);
+  }
+
+  // Throw if `record` is locked or still in its resend cooldown
+  _refuse(record, now) {
+    if (record?.lockedUntil && record.lockedUntil > now)
+      throw new OtpError('locked', 'Too many failed attempts — try again later', 429,
+        { retryAfter: secondsUntil(record.lockedUntil) });
+
+    if (record?.lastSentAt) {
+      const nextAllowed = new Date(record.lastSentAt.getTime() + this._resendCooldownMs);
+      if (nextAllowed > now)
+        throw new OtpError('cooldown', 'A code was sent recently — wait before requesting another', 429,
+          { retryAfter: secondsUntil(nextAllowed) });
+    }
+  }
+
+  _generateCode() {
+    let code = '';
+    for (let i = 0; i < this._length; i++) code += crypto.randomInt(0, 10);
+    return code;
+  }
+
+  _hash(code, salt) {
+    return crypto.createHmac('sha256', this._secret).update(`${salt}:${code}`).digest('hex');
+  }
+
+  _matches(code, { hash, salt }) {
+    const expected = Buffer.from(hash, 'hex');
+    const actual   = Buffer.from(this._hash(code, salt), 'hex');
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  }
+}
+
+function secondsUntil(date) {
+  return Math.max(1, Math.ceil((date.getTime() - Date.now()) / 1000));
+}
+
+function laterOf(a, b) {
+  if (!a) return b;
+  return a > b ? a : b;
+}
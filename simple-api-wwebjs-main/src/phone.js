@@ -0,0 +1,107 @@
+import { withTimeout } from './watchdog.js';
+
+// ─── Phone numbers ────────────────────────────────────────────────────────────
+// Everything downstream (queue, OTP records, rate limits) keys on the same
+// E.164 digit string — no "+", no spaces — so normalize once at the edge.
+
+export class PhoneError extends Error {
+  constructor(code, message, status = 400) {
+    super(message);
+    this.code   = code;
+    this.status = status;
+  }
+}
+
+const E164_MIN_DIGITS = 8;
+const E164_MAX_DIGITS = 15;
+
+// "+963 957-999999", "00963957999999", "0957999999" (with defaultCountryCode
+// "963") and "963957999999" all become "963957999999".
+export function normalizePhone(input, { defaultCountryCode = '' } = {}) {
+  let raw = String(input ?? '').trim();
+  if (!raw) throw new PhoneError('invalid_phone', 'phone is empty');
+
+  // Allow the usual visual separators (and stray LTR/RTL marks), nothing else
+  raw = raw.replace(/[\s\-.()\u200e\u200f]/g, '');
+  if (!/^\+?\d+$/.test(raw))
+    throw new PhoneError('invalid_phone', 'phone may only contain digits, spaces, dashes, dots, parentheses and a leading +');
+
+  let digits;
+  if (raw.startsWith('+'))       digits = raw.slice(1);
+  else if (raw.startsWith('00')) digits = raw.slice(2);
+  else if (raw.startsWith('0')) {
+    // National format with trunk prefix — needs a country to attach to
+    if (!defaultCountryCode)
+      throw new PhoneError('invalid_phone', 'phone is in national format (leading 0) and no DEFAULT_COUNTRY_CODE is set');
+    digits = defaultCountryCode + raw.slice(1);
+  } else digits = raw;
+
+  if (digits.length < E164_MIN_DIGITS || digits.length > E164_MAX_DIGITS)
+    throw new PhoneError('invalid_phone', `phone must have ${E164_MIN_DIGITS}-${E164_MAX_DIGITS} digits including the country code`);
+  if (digits.startsWith('0'))
+    throw new PhoneError('invalid_phone', 'country code cannot start with 0');
+
+  return digits;
+}
+
+// For logs and pages: "963957999999" → "9639•••••999"
+export function maskPhone(phone) {
+  const digits = String(phone ?? '');
+  if (digits.length <= 7) return '•'.repeat(digits.length);
+  return digits.slice(0, 4) + '•'.repeat(digits.length - 7) + digits.slice(-3);
+}
+
+// ─── WhatsApp registration lookups ────────────────────────────────────────────
+// Asks WhatsApp (client.getNumberId) whether a number has an account and which
+// chat id to use for it; answers are cached in `phone_lookups`. When the
+// session can't send yet, or WhatsApp doesn't answer within timeoutMs,
+// numbers pass through unchecked.
+
+export class PhoneLookup {
+  constructor(db, { enabled = false, ttlMs = 7 * 24 * 3600_000, negativeTtlMs = 24 * 3600_000, timeoutMs = 10_000 } = {}) {
+    this._col           = db.collection('phone_lookups');
+    this._enabled       = enabled;
+    this._ttlMs         = ttlMs;
+    this._negativeTtlMs = negativeTtlMs;
+    this._timeoutMs     = timeoutMs;
+  }
+
+  async init() {
+    await this._col.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+    console.log(`[Phone] Registration check ${this._enabled ? 'enabled' : 'disabled'} ✓`);
+  }
+
+  // Returns the chat id to send to, or throws PhoneError('not_on_whatsapp')
+  async resolve(session, phone) {
+    const fallback = `${phone}@c.us`;
+    if (!this._enabled) return fallback;
+
+    const cached = await this._col.findOne({ _id: phone, expiresAt: { $gt: new Date() } });
+    if (cached) return this._answer(phone, cached);
+
+    if (!session?.canSend) return fallback;
+
+    let numberId;
+    try {
+      numberId = await withTimeout(session.client.getNumberId(phone), this._timeoutMs, 'getNumberId()');
+    } catch (err) {
+      console.warn(`⚠️  [Phone] [${session.id}] Lookup for ${maskPhone(phone)} failed, sending unchecked: ${err.message}`);
+      return fallback;
+    }
+    const now      = new Date();
+    const entry    = {
+      registered: !!numberId,
+      chatId:     numberId?._serialized ?? null,
+      checkedAt:  now,
+      expiresAt:  new Date(now.getTime() + (numberId ? this._ttlMs : this._negativeTtlMs)),
+    };
+    await this._col.updateOne({ _id: phone }, { $set: entry }, { upsert: true });
+    return this._answer(phone, entry);
+  }
+
+  _answer(phone, { registered, chatId }) {
+    if (!registered)
+      throw new PhoneError('not_on_whatsapp', `${phone} is not registered on WhatsApp`, 422);
+    return chatId || `${phone}@c.us`;
+  }
+}
@@ -0,0 +1,386 @@
+import os from 'os';
+
+// ─── Message Queue (MongoDB) ──────────────────────────────────────────────────
+// Items live in the `message_queue` collection so nothing is lost on redeploy.
+// A worker claims an item by atomically flipping it from `queued` to `sending`;
+// claims carry a lease so items held by a crashed worker are picked up again.
+//
+// Items with a future `sendAt` wait as `scheduled` until releaseDue() moves
+// them to `queued`. Items past their `expiresAt` are never claimed; expire()
+// retires them. Waiting items can be cancelled.
+//
+// A failed send goes back to `queued` with a `nextAttemptAt` (see
+// src/retry.js) or, once it can't succeed, to `dead` — the dead-letter list,
+// from where it can be replayed. retry() also takes `failed` items back.
+//
+// OTP items carry the code in clear in `message`. The text is dropped as soon
+// as the item is done with (sent, failed, expired, cancelled or dead), so such
+// items can't be replayed — the caller requests a new code instead.
+
+export const QueueState = Object.freeze({
+  SCHEDULED: 'scheduled',
+  QUEUED:    'queued',
+  SENDING:   'sending',
+  SENT:      'sent',
+  FAILED:    'failed',
+  EXPIRED:   'expired',
+  CANCELLED: 'cancelled',
+  DEAD:      'dead',
+});
+
+const WAITING = [QueueState.SCHEDULED, QueueState.QUEUED];
+const DONE    = [QueueState.SENT, QueueState.FAILED, QueueState.EXPIRED, QueueState.CANCELLED, QueueState.DEAD];
+
+// whatsapp-web.js MessageAck values → delivery status names
+const ACK_STATUS = {
+  '-1': 'error',
+  0:    'pending',
+  1:    'sent',
+  2:    'delivered',
+  3:    'read',
+  4:    'played',
+};
+
+export class MessageQueue {
+  constructor(db, { leaseMs = 300_000, retentionMs = 7 * 24 * 3600_000 } = {}) {
+    this._col         = db.collection('message_queue');
+    this._leaseMs     = leaseMs;
+    this._retentionMs = retentionMs;
+    this._workerId    = `${os.hostname()}-${process.pid}`;
+  }
+
+  async init() {
+    await this._col.createIndex({ sessionId: 1, state: 1, queuedAt: 1 });
+    await this._col.createIndex({ purgeAt: 1 }, { expireAfterSeconds: 0 });
+    await this._col.createIndex({ waMessageId: 1 }, { sparse: true });
+    await this._col.createIndex({ state: 1, sendAt: 1 });
+    await this._col.createIndex({ state: 1, expiresAt: 1 });
+    await this._col.createIndex({ campaignId: 1 }, { sparse: true });
+    await this._forgetOtpText({});   // left behind by older versions
+    console.log('[Queue] Collection ready ✓');
+  }
+
+  // `sendAt` (optional) delays the item; `expiresAt` (optional) is the
+  // moment after which it must not be sent any more
+  async enqueue({ phone, message, sendAt = null, expiresAt = null, ...extra }) {
+    const id        = `${Date.now()}-${Math.random().toString(36).slice(2, 7)}`;
+    const now       = new Date();
+    const scheduled = !!sendAt && sendAt > now;
+    await this._col.insertOne({
+      _id: id,
+      phone,
+      message,
+      ...extra,
+      state:     scheduled ? QueueState.SCHEDULED : QueueState.QUEUED,
+      sendAt:    scheduled ? sendAt : null,
+      expiresAt,
+      attempts:  0,
+      queuedAt:  now,
+      updatedAt: now,
+    });
+    const queueSize = await this.pendingCount(extra.sessionId);
+    return scheduled
+      ? { id, state: QueueState.SCHEDULED, sendAt, position: null, queueSize }
+      : { id, state: QueueState.QUEUED, position: queueSize, queueSize };
+  }
+
+  // Atomically take the oldest queued, unexpired item for a session that is
+  // not waiting out a retry backoff. Returns null when nothing is due.
+  async claim(sessionId) {
+    const now = new Date();
+    return this._col.findOneAndUpdate(
+      {
+        sessionId,
+        state: QueueState.QUEUED,
+        $and: [
+          { $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }] },
+          { $or: [{ nextAttemptAt: null }, { nextAttemptAt: { $lte: now } }] },
+        ],
+      },
+      {
+        $set: {
+          state:        QueueState.SENDING,
+          claimedBy:    this._workerId,
+          leaseExpires: new Date(now.getTime() + this._leaseMs),
+          updatedAt:    now,
+        },
+        $inc: { attempts: 1 },
+      },
+      { sort: { queuedAt: 1 }, returnDocument: 'after' }
+    );
+  }
+
+  // `ack` is the value already on the returned Message — early acks can fire
+  // before this write lands, so it seeds the delivery status.
+  async markSent(id, { waMessageId, ack } = {}) {
+    const now      = new Date();
+    const delivery = ack == null ? {} : { ack, deliveryStatus: ACK_STATUS[ack] ?? `ack_${ack}` };
+    await this._col.updateOne(
+      { _id: id },
+      {
+        $set: { waMessageId, ...delivery, state: QueueState.SENT, sentAt: now, updatedAt: now, purgeAt: this._purgeAt(now) },
+        $unset: { claimedBy: '', leaseExpires: '' },
+      }
+    );
+    await this._forgetOtpText({ _id: id });
+  }
+
+  // Record a message_ack event against the queue item that produced the message.
+  // Acks can arrive out of order, so the stored status only ever moves forward
+  // (an error ack always wins). Returns the item id, or null if it isn't ours.
+  async recordAck(waMessageId, ack) {
+    const status = ACK_STATUS[ack] ?? `ack_${ack}`;
+    const now    = new Date();
+    const item   = await this._col.findOne({ waMessageId }, { projection: { _id: 1, ack: 1 } });
+    if (!item) return null;
+
+    const advance = ack === -1 || item.ack == null || (item.ack !== -1 && ack > item.ack);
+    const $set    = { updatedAt: now };
+    if (advance) Object.assign($set, { ack, deliveryStatus: status });
+    if (status === 'delivered') $set.deliveredAt = now;
+    if (status === 'read' || status === 'played') $set.readAt = now;
+
+    await this._col.updateOne(
+      { _id: item._id },
+      { $set, $push: { acks: { ack, status, at: now } } }
+    );
+    return item._id;
+  }
+
+  async get(id) {
+    const item = await this._col.findOne({ _id: id });
+    if (!item) return null;
+    const { _id, sessionId, phone, kind, media, state, attempts, lastError, queuedAt, sendAt, expiresAt, nextAttemptAt,
+      sentAt, failedAt, expiredAt, cancelledAt, deadAt, deadReason, waMessageId, deliveryStatus, deliveredAt,
+      readAt, acks = [] } = item;
+    return {
+      id: _id, sessionId, phone, kind, media, state, attempts, lastError, queuedAt, sendAt, expiresAt, nextAttemptAt,
+      sentAt, failedAt, expiredAt, cancelledAt, deadAt, deadReason, waMessageId,
+      delivery: { status: deliveryStatus ?? null, deliveredAt, readAt, history: acks },
+    };
+  }
+
+  async markFailed(id, error) {
+    const now = new Date();
+    await this._col.updateOne(
+      { _id: id },
+      {
+        $set: { state: QueueState.FAILED, lastError: error, failedAt: now, updatedAt: now, purgeAt: this._purgeAt(now) },
+        $unset: { claimedBy: '', leaseExpires: '' },
+      }
+    );
+    await this._forgetOtpText({ _id: id });
+  }
+
+  // Move scheduled items whose time has come into the send queue
+  async releaseDue() {
+    const now = new Date();
+    const { modifiedCount } = await this._col.updateMany(
+      { state: QueueState.SCHEDULED, sendAt: { $lte: now } },
+      { $set: { state: QueueState.QUEUED, releasedAt: now, updatedAt: now } }
+    );
+    return modifiedCount;
+  }
+
+  // Retire waiting items past their expiresAt, one atomic update each.
+  // Returns the expired items so the caller can clean up and notify.
+  async expire() {
+    const expired = [];
+    for (;;) {
+      const now  = new Date();
+      const item = await this._col.findOneAndUpdate(
+        { state: { $in: WAITING }, expiresAt: { $lte: now } },
+        { $set: { state: QueueState.EXPIRED, expiredAt: now, updatedAt: now, purgeAt: this._purgeAt(now) } },
+        { returnDocument: 'after' }
+      );
+      if (!item) return expired;
+      await this._forgetOtpText({ _id: item._id });
+      expired.push(item);
+    }
+  }
+
+  // Cancel an item that has not been sent yet. Returns the cancelled item, or
+  // null if it does not exist or is already past the point of cancelling.
+  async cancel(id) {
+    const now  = new Date();
+    const item = await this._col.findOneAndUpdate(
+      { _id: id, state: { $in: WAITING } },
+      { $set: { state: QueueState.CANCELLED, cancelledAt: now, updatedAt: now, purgeAt: this._purgeAt(now) } },
+      { returnDocument: 'after' }
+    );
+    if (item) await this._forgetOtpText({ _id: id });
+    return item;
+  }
+
+  // Withdraw the waiting items of a cancelled campaign. Returns how many.
+  async cancelCampaign(campaignId) {
+    const now = new Date();
+    const { modifiedCount } = await this._col.updateMany(
+      { campaignId, state: { $in: WAITING } },
+      { $set: { state: QueueState.CANCELLED, cancelledAt: now, updatedAt: now, purgeAt: this._purgeAt(now) } }
+    );
+    return modifiedCount;
+  }
+
+  // Put a claimed item back for another attempt, not before `retryAt`.
+  // `refund` gives the attempt back — for failures that weren't the item's
+  // fault, like the client dropping mid-send.
+  async release(id, error, { retryAt = null, refund = false } = {}) {
+    await this._col.updateOne(
+      { _id: id, state: QueueState.SENDING },
+      {
+        $set: { state: QueueState.QUEUED, nextAttemptAt: retryAt, updatedAt: new Date(), ...(error ? { lastError: error } : {}) },
+        $unset: { claimedBy: '', leaseExpires: '' },
+        ...(refund ? { $inc: { attempts: -1 } } : {}),
+      }
+    );
+  }
+
+  // Move a claimed item to the dead-letter list. `reason` is 'permanent'
+  // (the error can't go away) or 'exhausted' (out of attempts).
+  async markDead(id, error, reason) {
+    const now = new Date();
+    await this._col.updateOne(
+      { _id: id },
+      {
+        $set: { state: QueueState.DEAD, lastError: error, deadReason: reason, deadAt: now, updatedAt: now, purgeAt: this._purgeAt(now) },
+        $unset: { claimedBy: '', leaseExpires: '', nextAttemptAt: '' },
+      }
+    );
+    await this._forgetOtpText({ _id: id });
+  }
+
+  async deadLetters({ sessionId, limit = 100 } = {}) {
+    const items = await this._col
+      .find({ ...(sessionId ? { sessionId } : {}), state: QueueState.DEAD })
+      .sort({ deadAt: -1 })
+      .limit(Math.min(Number(limit) || 100, 500))
+      .toArray();
+    return items.map(({ _id, sessionId, phone, kind, message, media, attempts, lastError, deadReason, deadAt, queuedAt, replayCount }) =>
+      ({ id: _id, sessionId, phone, kind, message: kind === 'otp' ? undefined : message, media, attempts, lastError,
+        deadReason, deadAt, queuedAt, replayCount: replayCount || 0 }));
+  }
+
+  // Put a dead letter back in the queue with a fresh set of attempts. Returns
+  // null if it is not a dead letter, has expired meanwhile or is an OTP.
+  async replay(id) {
+    return this._requeue(id, [QueueState.DEAD]);
+  }
+
+  // Like replay(), for failed items as well (the dashboard's retry)
+  async retry(id) {
+    return this._requeue(id, [QueueState.FAILED, QueueState.DEAD]);
+  }
+
+  // Items in `states` for the dashboard, most recently changed first. Message
+  // text is left out of OTPs, like in deadLetters(), while it still exists.
+  async list({ states, sessionId, limit = 100 } = {}) {
+    const items = await this._col
+      .find({ ...(sessionId ? { sessionId } : {}), state: { $in: states } })
+      .sort({ updatedAt: -1 })
+      .limit(Math.min(Number(limit) || 100, 500))
+      .toArray();
+    return items.map(({ _id, sessionId, phone, kind, message, media, state, attempts, lastError, deadReason,
+      queuedAt, sendAt, nextAttemptAt, updatedAt }) =>
+      ({ id: _id, sessionId, phone, kind, message: kind === 'otp' ? undefined : message, hasMedia: !!media, state,
+        attempts, lastError, deadReason, queuedAt, sendAt, nextAttemptAt, updatedAt }));
+  }
+
+  // Return items stuck in `sending` to the queue: either every claim held by
+  // this process (shutdown) or every claim whose lease has run out (crash).
+  async recover({ ownOnly = false } = {}) {
+    const filter = ownOnly
+      ? { state: QueueState.SENDING, claimedBy: this._workerId }
+      : { state: QueueState.SENDING, leaseExpires: { $lte: new Date() } };
+    const { modifiedCount } = await this._col.updateMany(filter, {
+      $set: { state: QueueState.QUEUED, updatedAt: new Date() },
+      $unset: { claimedBy: '', leaseExpires: '' },
+    });
+    return modifiedCount;
+  }
+
+  // Items queued before sessions existed carry no sessionId — hand them to
+  // the default session.
+  async assignUnrouted(sessionId) {
+    const { modifiedCount } = await this._col.updateMany(
+      { sessionId: { $exists: false } },
+      { $set: { sessionId } }
+    );
+    return modifiedCount;
+  }
+
+  // Fail everything still waiting for a session that is going away. Returns
+  // the failed items, so their results can be reported like any other failure.
+  async failPending(sessionId, error) {
+    const failed = [];
+    for (;;) {
+      const now  = new Date();
+      const item = await this._col.findOneAndUpdate(
+        { sessionId, state: { $in: WAITING } },
+        { $set: { state: QueueState.FAILED, lastError: error, failedAt: now, updatedAt: now, purgeAt: this._purgeAt(now) } },
+        { returnDocument: 'after' }
+      );
+      if (!item) return failed;
+      await this._forgetOtpText({ _id: item._id });
+      failed.push(item);
+    }
+  }
+
+  async pendingCount(sessionId) {
+    return this._col.countDocuments({ ...(sessionId ? { sessionId } : {}), state: QueueState.QUEUED });
+  }
+
+  // Items still to be dealt with, per state — what /metrics reports as depth
+  async depth(sessionId) {
+    const depth = {};
+    for (const state of [...WAITING, QueueState.SENDING, QueueState.DEAD])
+      depth[state] = await this._col.countDocuments({ sessionId, state });
+    return depth;
+  }
+
+  async status({ sessionId, limit = 100 } = {}) {
+    const scope  = sessionId ? { sessionId } : {};
+    const counts = {};
+    for (const state of Object.values(QueueState))
+      counts[state] = await this._col.countDocuments({ ...scope, state });
+
+    const items = await this._col
+      .find({ ...scope, state: { $in: [QueueState.QUEUED, QueueState.SENDING] } })
+      .sort({ queuedAt: 1 })
+      .limit(limit)
+      .toArray();
+    const scheduled = await this._col
+      .find({ ...scope, state: QueueState.SCHEDULED })
+      .sort({ sendAt: 1 })
+      .limit(limit)
+      .toArray();
+
+    const present = ({ _id, sessionId, phone, state, attempts, lastError, queuedAt, sendAt, expiresAt, nextAttemptAt }) =>
+      ({ id: _id, sessionId, phone, state, attempts, lastError, queuedAt, sendAt, expiresAt, nextAttemptAt });
+    return { counts, items: items.map(present), scheduled: scheduled.map(present) };
+  }
+
+  _requeue(id, states) {
+    const now = new Date();
+    return this._col.findOneAndUpdate(
+      { _id: id, state: { $in: states }, kind: { $ne: 'otp' }, $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }] },
+      {
+        $set: { state: QueueState.QUEUED, attempts: 0, nextAttemptAt: null, replayedAt: now, updatedAt: now },
+        $unset: { deadAt: '', deadReason: '', failedAt: '', purgeAt: '' },
+        $inc: { replayCount: 1 },
+      },
+      { returnDocument: 'after' }
+    );
+  }
+
+  _forgetOtpText(filter) {
+    return this._col.updateMany(
+      { ...filter, kind: 'otp', state: { $in: DONE }, message: { $exists: true } },
+      { $unset: { message: '' } }
+    );
+  }
+
+  _purgeAt(from) {
+    return new Date(from.getTime() + this._retentionMs);
+  }
+}
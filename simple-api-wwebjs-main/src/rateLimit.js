@@ -0,0 +1,46 @@
+// ─── Rate limits ──────────────────────────────────────────────────────────────
+// Fixed-window counters in the `rate_limits` collection, so limits hold across
+// restarts and across instances. One document per (bucket, window); a TTL
+// index drops them once the window is over.
+
+export class RateLimiter {
+  constructor(db) {
+    this._col = db.collection('rate_limits');
+  }
+
+  async init() {
+    await this._col.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+    console.log('[RateLimit] Collection ready ✓');
+  }
+
+  // Count one hit against `bucket`. A limit of 0 (or less) means unlimited.
+  // Returns { allowed, count, retryAfter } — retryAfter in seconds.
+  async hit(bucket, limit, windowMs) {
+    if (!(limit > 0)) return { allowed: true, count: 0, retryAfter: 0 };
+
+    const now         = Date.now();
+    const windowStart = now - (now % windowMs);
+    const windowEnd   = windowStart + windowMs;
+
+    const doc = await this._col.findOneAndUpdate(
+      { _id: `${bucket}:${windowStart}` },
+      { $inc: { count: 1 }, $setOnInsert: { expiresAt: new Date(windowEnd) } },
+      { upsert: true, returnDocument: 'after' }
+    );
+    const count = doc?.count ?? 1;
+    return {
+      allowed:    count <= limit,
+      count,
+      retryAfter: Math.max(1, Math.ceil((windowEnd - now) / 1000)),
+    };
+  }
+
+  // Check several limits in order and stop at the first one exceeded
+  async check(rules) {
+    for (const { name, bucket, limit, windowMs } of rules) {
+      const result = await this.hit(bucket, limit, windowMs);
+      if (!result.allowed) return { ...result, name, limit, windowMs };
+    }
+    return { allowed: true };
+  }
+}
@@ -0,0 +1,39 @@
+// ─── Send retry policy ────────────────────────────────────────────────────────
+// Decides what happens to a queue item whose send threw: retry later with
+// exponential backoff, or give up and dead-letter it. Errors that will fail
+// the same way every time (the number doesn't exist, the attachment is gone)
+// are dead-lettered on the first attempt.
+
+// whatsapp-web.js surfaces these as plain Errors thrown from page.evaluate
+const PERMANENT_ERRORS = [
+  /invalid wid/i,
+  /wid error/i,
+  /no lid for user/i,
+  /not (a )?registered/i,
+  /phone number is (shared|invalid)/i,
+];
+
+export class RetryPolicy {
+  constructor({ maxAttempts = 5, baseDelayMs = 30_000, maxDelayMs = 1800_000 } = {}) {
+    this.maxAttempts  = maxAttempts;
+    this._baseDelayMs = baseDelayMs;
+    this._maxDelayMs  = maxDelayMs;
+  }
+
+  // Errors can mark themselves with `permanent = true`; otherwise match the
+  // known WhatsApp messages
+  isPermanent(err) {
+    if (err?.permanent) return true;
+    const message = String(err?.message || err);
+    return PERMANENT_ERRORS.some(re => re.test(message));
+  }
+
+  // `attempts` counts the attempt that just failed. Returns null when the item
+  // should be dead-lettered, otherwise the delay before the next attempt.
+  nextDelay(err, attempts) {
+    if (this.isPermanent(err) || attempts >= this.maxAttempts) return null;
+    const ceiling = Math.min(this._maxDelayMs, this._baseDelayMs * 2 ** (attempts - 1));
+    // Half fixed, half random, so items that failed together don't retry together
+    return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+  }
+}
@@ -0,0 +1,221 @@
+import crypto from 'crypto';
+
+// ─── Auto-reply rules ─────────────────────────────────────────────────────────
+// Rules for inbound messages live in `inbound_rules` and are managed through
+// the API. Active rules are tried in priority order (lowest first) and the
+// first match wins. Matching lives here; the actions themselves (queueing a
+// reply, re-issuing an OTP) are carried out by the caller.
+//
+//   match:  { type: 'keyword', keywords: ['code', 'رمز'], exact? }
+//           { type: 'regex', pattern: '^who', flags?: 'i' }
+//           { type: 'outside_hours', hours: { timezone, days: [0-6], start: '09:00', end: '17:00' } }
+//           { type: 'any' }
+//   action: { type: 'reply', text } | { type: 'reply', template, locale? }
+//           { type: 'resend_otp', fallbackText? }
+//
+// `cooldownMs` stops a rule from firing again for the same number too soon,
+// so two bots can't ping-pong auto-replies.
+
+export const MATCH_TYPES  = Object.freeze(['keyword', 'regex', 'outside_hours', 'any']);
+export const ACTION_TYPES = Object.freeze(['reply', 'resend_otp']);
+
+const DEFAULT_COOLDOWN_MS = 60_000;
+const TIME_RE             = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const REGEX_FLAGS_RE      = /^[imsu]*$/;
+const WEEKDAYS            = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+export class RuleError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+export class RuleEngine {
+  constructor(db) {
+    this._col = db.collection('inbound_rules');
+  }
+
+  async init() {
+    await this._col.createIndex({ active: 1, priority: 1 });
+    const count = await this._col.countDocuments({ active: true });
+    console.log(`[Rules] ${count} active auto-reply rule(s) ✓`);
+  }
+
+  async create({ name, priority = 100, active = true, sessionIds = [], match, action, cooldownMs = DEFAULT_COOLDOWN_MS }) {
+    if (!name) throw new RuleError('name required');
+    const now  = new Date();
+    const rule = {
+      _id:        crypto.randomUUID(),
+      name:       String(name),
+      priority:   validatePriority(priority),
+      active:     !!active,
+      sessionIds: [].concat(sessionIds || []).map(String),
+      match:      validateMatch(match),
+      action:     validateAction(action),
+      cooldownMs: validateCooldown(cooldownMs),
+      createdAt:  now,
+      updatedAt:  now,
+    };
+    await this._col.insertOne(rule);
+    return present(rule);
+  }
+
+  async list() {
+    const rules = await this._col.find({}).sort({ priority: 1, createdAt: 1 }).toArray();
+    return rules.map(present);
+  }
+
+  async update(id, changes) {
+    const $set = { updatedAt: new Date() };
+    if (changes.name !== undefined)       $set.name       = String(changes.name);
+    if (changes.priority !== undefined)   $set.priority   = validatePriority(changes.priority);
+    if (changes.active !== undefined)     $set.active     = !!changes.active;
+    if (changes.sessionIds !== undefined) $set.sessionIds = [].concat(changes.sessionIds || []).map(String);
+    if (changes.match !== undefined)      $set.match      = validateMatch(changes.match);
+    if (changes.action !== undefined)     $set.action     = validateAction(changes.action);
+    if (changes.cooldownMs !== undefined) $set.cooldownMs = validateCooldown(changes.cooldownMs);
+    const rule = await this._col.findOneAndUpdate({ _id: id }, { $set }, { returnDocument: 'after' });
+    if (!rule) throw new RuleError('Rule not found', 404);
+    return present(rule);
+  }
+
+  async remove(id) {
+    const { deletedCount } = await this._col.deleteOne({ _id: id });
+    if (!deletedCount) throw new RuleError('Rule not found', 404);
+  }
+
+  // First active rule for this session that matches the text, or null
+  async match(sessionId, text, now = new Date()) {
+    const rules = await this._col.find({ active: true }).sort({ priority: 1, createdAt: 1 }).toArray();
+    const normalized = normalizeText(text);
+    for (const rule of rules) {
+      if (rule.sessionIds?.length && !rule.sessionIds.includes(sessionId)) continue;
+      if (matches(rule.match, normalized, now)) return present(rule);
+    }
+    return null;
+  }
+}
+
+function matches(match, text, now) {
+  switch (match.type) {
+    case 'keyword':
+      return match.keywords.some(k => match.exact ? text === k : text.includes(k));
+    case 'regex':
+      return new RegExp(match.pattern, match.flags).test(text);
+    case 'outside_hours':
+      return !withinHours(match.hours, now);
+    case 'any':
+      return true;
+    default:
+      return false;
+  }
+}
+
+// Business hours in the configured timezone; start > end spans midnight
+function withinHours({ timezone, days, start, end }, now) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone, weekday: 'short', hour: '2-digit', minute: '2-digit', hourCycle: 'h23' })
+      .formatToParts(now)
+      .map(p => [p.type, p.value])
+  );
+  const minutes = Number(parts.hour) * 60 + Number(parts.minute);
+  const from    = toMinutes(start);
+  const to      = toMinutes(end);
+  const day     = WEEKDAYS.indexOf(parts.weekday);
+
+  if (from <= to) return days.includes(day) && minutes >= from && minutes < to;
+  // Overnight shift: the part after midnight belongs to the previous day
+  if (minutes >= from) return days.includes(day);
+  if (minutes < to)    return days.includes((day + 6) % 7);
+  return false;
+}
+
+function toMinutes(hhmm) {
+  const [, h, m] = TIME_RE.exec(hhmm);
+  return Number(h) * 60 + Number(m);
+}
+
+// Case-, diacritic- and letter-variant-insensitive, so "Code", "CODE " and
+// "الكود" / "ألكود" all compare equal to their keyword
+export function normalizeText(text) {
+  return String(text || '')
+    .normalize('NFKC')
+    .toLowerCase()
+    .replace(/[\u064b-\u065f\u0670\u0640]/g, '')    // tashkeel, tatweel
+    .replace(/[\u0622\u0623\u0625]/g, '\u0627')     // آ أ إ → ا
+    .replace(/\u0649/g, '\u064a')                    // ى → ي
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function validateMatch(match) {
+  if (!match || !MATCH_TYPES.includes(match.type))
+    throw new RuleError(`match.type must be one of ${MATCH_TYPES.join(', ')}`);
+
+  switch (match.type) {
+    case 'keyword': {
+      const keywords = [].concat(match.keywords || []).map(normalizeText).filter(Boolean);
+      if (!keywords.length) throw new RuleError('match.keywords needs at least one keyword');
+      return { type: 'keyword', keywords, exact: !!match.exact };
+    }
+    case 'regex': {
+      const flags = String(match.flags ?? 'i');
+      if (!match.pattern) throw new RuleError('match.pattern required');
+      if (!REGEX_FLAGS_RE.test(flags)) throw new RuleError('match.flags may only use i, m, s and u');
+      try {
+        new RegExp(match.pattern, flags);
+      } catch (err) {
+        throw new RuleError(`match.pattern is not a valid regex: ${err.message}`);
+      }
+      return { type: 'regex', pattern: String(match.pattern), flags };
+    }
+    case 'outside_hours':
+      return { type: 'outside_hours', hours: validateHours(match.hours) };
+    default:
+      return { type: 'any' };
+  }
+}
+
+function validateHours(hours = {}) {
+  const { timezone = 'UTC', days = [0, 1, 2, 3, 4, 5, 6], start, end } = hours;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+  } catch {
+    throw new RuleError(`Unknown timezone "${timezone}"`);
+  }
+  if (!TIME_RE.test(start || '') || !TIME_RE.test(end || ''))
+    throw new RuleError('match.hours.start and end must be "HH:MM"');
+  const daySet = [...new Set([].concat(days).map(Number))];
+  if (!daySet.length || daySet.some(d => !Number.isInteger(d) || d < 0 || d > 6))
+    throw new RuleError('match.hours.days must list weekdays 0 (Sunday) to 6');
+  return { timezone, days: daySet.sort((a, b) => a - b), start, end };
+}
+
+function validateAction(action) {
+  if (!action || !ACTION_TYPES.includes(action.type))
+    throw new RuleError(`action.type must be one of ${ACTION_TYPES.join(', ')}`);
+
+  if (action.type === 'resend_otp')
+    return { type: 'resend_otp', ...(action.fallbackText ? { fallbackText: String(action.fallbackText) } : {}) };
+
+  if (!!action.text === !!action.template)
+    throw new RuleError('A reply needs either action.text or action.template');
+  return action.text
+    ? { type: 'reply', text: String(action.text) }
+    : { type: 'reply', template: String(action.template), ...(action.locale ? { locale: String(action.locale) } : {}) };
+}
+
+function validatePriority(value) {
+  if (!Number.isInteger(value)) throw new RuleError('priority must be an integer');
+  return value;
+}
+
+function validateCooldown(value) {
+  if (!Number.isInteger(value) || value < 0) throw new RuleError('cooldownMs must be a non-negative integer');
+  return value;
+}
+
+function present({ _id, ...rule }) {
+  return { id: _id, ...rule };
+}
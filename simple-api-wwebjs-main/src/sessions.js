@@ -0,0 +1,495 @@
+import crypto from 'crypto';
+import { EventEmitter } from 'events';
+import fs from 'fs';
+import path from 'path';
+import { ClientState, ClientStateMachine } from './clientState.js';
+import { maskPhone } from './phone.js';
+import { withTimeout } from './watchdog.js';
+
+// ─── Sessions ─────────────────────────────────────────────────────────────────
+// One WhatsAppSession per linked number. Each wraps its own whatsapp-web.js
+// client (RemoteAuth clientId = session id, so the session store holds `RemoteAuth-<id>`)
+// and re-emits client events tagged with the session id. Where the client
+// stands is tracked by a ClientStateMachine (src/clientState.js); `ready` and
+// `initializing` are read from it, and its changes are re-emitted as 'state'.
+// Health is separate: the watchdog (src/watchdog.js) can find a READY client
+// unresponsive, which stops its queue (`canSend`) until it recovers.
+//
+// Admin actions that take a client down and up again (restart, logout, wipe,
+// forced save) run as lifecycle operations: one at a time per session, never
+// during a watchdog recovery, with per-step progress kept on `operation`.
+//
+// Instead of scanning the QR, a number can be linked with a pairing code
+// (client.requestPairingCode): the code is entered on the phone under Linked
+// Devices → Link with phone number. WhatsApp issues a fresh code every few
+// minutes until the phone links, and each one replaces `pairing.code`.
+//
+// The registry keeps the session list in the `sessions` collection together
+// with the routing rules used when a send does not name a session.
+
+const SESSION_ID_RE      = /^[a-z0-9_-]{1,32}$/i;
+const QR_LOG_COOLDOWN_MS = 10_000;
+const REINIT_DELAY_MS    = 15_000;
+const DESTROY_TIMEOUT_MS = 15_000;
+const PAIRING_TIMEOUT_MS = 30_000;
+const RECOVER_TIMEOUT_MS = 120_000;
+
+export class SessionError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+export class WhatsAppSession extends EventEmitter {
+  constructor(id, { createClient, authDir, label = '', prefixes = [] }) {
+    super();
+    this.id            = id;
+    this.label         = label;
+    this.prefixes      = prefixes;
+    this.client        = null;
+    this.qrValue       = null;
+    this.pairing       = null;   // { phone, code, requestedAt, codeAt }
+    this.machine       = new ClientStateMachine(id);
+    this.health        = { healthy: true, failures: 0, error: null, checkedAt: null };
+    this.queueBusy     = false;
+    this._createClient = createClient;
+    this._authDir      = authDir;
+    this._lastQrLogAt  = 0;
+    this._stopped      = false;
+    this._reinitTimer  = null;
+    this._recovering   = false;
+    this.operation     = null;
+    this.machine.on('change', change => this.emit('state', change));
+  }
+
+  get sessionKey()   { return `RemoteAuth-${this.id}`; }
+  get state()        { return this.machine.state; }
+  get ready()        { return this.machine.state === ClientState.READY; }
+  get initializing() { return this.machine.state !== ClientState.BOOTING && this.machine.starting; }
+  get canSend()      { return this.ready && this.health.healthy; }
+  get busy()         { return this._recovering || !!this.operation?.running; }
+
+  async start() {
+    if (!this.machine.transition(ClientState.RESTORING_SESSION, 'client.initialize()')) return;
+    this._stopped = false;
+    this._clearLogin();
+    this.markHealthy(false);
+
+    let client;
+    try {
+      this._removeLockFiles();
+      client = this.client = this._createClient(this.id);
+    } catch (err) {
+      console.error(`❌ [${this.id}] Could not create client:`, err.message);
+      this.machine.transition(ClientState.FAILED, `create client: ${err.message}`);
+      return;
+    }
+
+    client.on('qr', (q) => {
+      if (client !== this.client) return;
+      this.qrValue = q;
+      if (this.pairing) return;   // linking by code — the QR is not shown
+      this.machine.transition(ClientState.WAITING_FOR_QR, 'qr received');
+      const now = Date.now();
+      if (now - this._lastQrLogAt > QR_LOG_COOLDOWN_MS) {
+        console.log(`📱 [${this.id}] QR generated — open /sessions/${this.id}/login to scan`);
+        this._lastQrLogAt = now;
+      }
+      this.emit('qr', q);
+    });
+
+    client.on('code', (code) => {
+      if (client !== this.client || !this.pairing) return;
+      Object.assign(this.pairing, { code, codeAt: new Date() });
+      this.emit('pairing_code', code);
+    });
+
+    client.on('authenticated', () => {
+      if (client !== this.client) return;
+      console.log(`✅ [${this.id}] WhatsApp authenticated`);
+      this.pairing = null;
+      this.machine.transition(ClientState.AUTHENTICATING, 'authenticated');
+    });
+
+    client.on('remote_session_saved', () =>
+      console.log(`💾 [${this.id}] Remote session saved to the session store ✓`)
+    );
+
+    client.on('message_ack', (msg, ack) => this.emit('message_ack', msg, ack));
+
+    client.on('message', (msg) => this.emit('message', msg));
+
+    client.on('ready', () => {
+      if (client !== this.client) return;
+      this._clearLogin();
+      this.machine.transition(ClientState.READY, 'client ready');
+      console.log(`🤖 [${this.id}] WhatsApp client READY — no QR needed next deploy`);
+      this.emit('ready', client.info);
+    });
+
+    client.on('auth_failure', (msg) => {
+      if (client !== this.client) return;
+      console.error(`❌ [${this.id}] auth_failure:`, msg);
+      this.machine.transition(ClientState.FAILED, `auth_failure: ${msg}`);
+      this.emit('auth_failure', msg);
+    });
+
+    client.on('disconnected', async (reason) => {
+      if (client !== this.client) return;
+      console.warn(`⚠️  [${this.id}] disconnected:`, reason);
+      this._clearLogin();
+      this.machine.transition(ClientState.DISCONNECTED, `disconnected: ${reason}`);
+      this.emit('disconnected', reason);
+      await this._destroyClient(client);
+      if (this._stopped || this._recovering) return;
+      console.log(`♻️  [${this.id}] Re-initializing in ${REINIT_DELAY_MS / 1000}s...`);
+      this._reinitTimer = setTimeout(() => this.start(), REINIT_DELAY_MS);
+    });
+
+    try {
+      console.log(`⚙️  [${this.id}] client.initialize()...`);
+      await client.initialize();
+    } catch (err) {
+      console.error(`❌ [${this.id}] client.initialize() failed:`, err.message);
+      if (client === this.client) this.machine.transition(ClientState.FAILED, `initialize: ${err.message}`);
+    }
+  }
+
+  async stop() {
+    this._stopped = true;
+    clearTimeout(this._reinitTimer);
+    this._clearLogin();
+    this.machine.transition(ClientState.DISCONNECTED, 'stopped');
+    if (this.client) await this._destroyClient(this.client);
+  }
+
+  // Tear down a client that stopped responding and start a fresh one. If the
+  // new client hasn't come up within timeoutMs it is killed and the session
+  // left FAILED, so a browser that hangs again can't hold recovery forever.
+  async recover(reason, { timeoutMs = RECOVER_TIMEOUT_MS } = {}) {
+    if (this._recovering || this._stopped) return;
+    this._recovering = true;
+    let abandoned = false;
+    try {
+      console.warn(`🚑 [${this.id}] Recovering client — ${reason}`);
+      clearTimeout(this._reinitTimer);
+      this._clearLogin();
+      this.machine.transition(ClientState.DISCONNECTED, reason);
+      this.emit('unhealthy', reason);
+      await withTimeout((async () => {
+        if (this.client) await this._destroyClient(this.client);
+        if (!abandoned) await this.start();
+      })(), timeoutMs, 'recovery');
+    } catch (err) {
+      abandoned = true;
+      console.error(`❌ [${this.id}] ${err.message} — restart the session to try again`);
+      this.machine.transition(ClientState.FAILED, `recover: ${err.message}`);
+      if (this.client) await this._destroyClient(this.client);
+    } finally {
+      this._recovering = false;
+    }
+  }
+
+  // Returns the number of consecutive failed probes
+  markUnhealthy(error) {
+    this.health = { healthy: false, failures: this.health.failures + 1, error, checkedAt: new Date() };
+    return this.health.failures;
+  }
+
+  markHealthy(probed = true) {
+    if (!this.health.healthy && probed) console.log(`🩺 [${this.id}] Client responding again`);
+    this.health = { healthy: true, failures: 0, error: null, checkedAt: probed ? new Date() : this.health.checkedAt };
+  }
+
+  // Unlink this device from the phone. RemoteAuth also deletes the saved
+  // login as part of client.logout().
+  async logout() {
+    const client = this.client;
+    const linked = this.ready;
+    this._stopped = true;   // the LOGOUT disconnect must not schedule a re-init
+    clearTimeout(this._reinitTimer);
+    this._clearLogin();
+    this.machine.transition(ClientState.DISCONNECTED, 'logout');
+    if (!client) return;
+    if (linked) await withTimeout(client.logout(), DESTROY_TIMEOUT_MS, 'client.logout()');
+    await this._destroyClient(client);
+  }
+
+  // Back up the login now, the way RemoteAuth's periodic sync does it: the
+  // profile folders it needs are copied aside first and the copy is zipped,
+  // so Chromium writing to the live profile can't tear the archive.
+  async backup() {
+    const auth = this.client?.authStrategy;
+    if (!this.ready || !auth?.storeRemoteSession)
+      throw new SessionError(`Session "${this.id}" is ${this.state} — only a READY session can be saved`, 409);
+    if (!fs.existsSync(auth.userDataDir))
+      throw new SessionError(`Session "${this.id}" has no local profile to save`, 409);
+    await auth.storeRemoteSession({ emit: true });
+  }
+
+  // Remove the Chromium profile and RemoteAuth's scratch files for this session
+  async wipeLocal() {
+    const dir = path.join(process.cwd(), this._authDir);
+    for (const target of [this.sessionKey, `${this.sessionKey}.zip`, `wwebjs_temp_session_${this.id}`])
+      await fs.promises.rm(path.join(dir, target), { recursive: true, force: true, maxRetries: 4 });
+  }
+
+  assertIdle() {
+    if (!this.busy) return;
+    const what = this.operation?.running ? `"${this.operation.action}"` : 'a watchdog recovery';
+    throw new SessionError(`Session "${this.id}" is busy with ${what} — try again when it finishes`, 409);
+  }
+
+  // Ask WhatsApp for a pairing code for `phone` (digits with country code),
+  // the number this session is being linked to. Only while the QR is showing.
+  async requestPairingCode(phone) {
+    const client = this.client;
+    if (this.ready) throw new SessionError(`Session "${this.id}" is already linked`, 409);
+    if (![ClientState.WAITING_FOR_QR, ClientState.WAITING_FOR_PAIRING].includes(this.state))
+      throw new SessionError(`Session "${this.id}" is ${this.state} — a pairing code can be requested once it is WAITING_FOR_QR`, 409);
+    this.assertIdle();
+
+    // The first code can arrive as a 'code' event before the call returns
+    const pairing = this.pairing = { phone, code: null, requestedAt: new Date(), codeAt: null };
+    let code;
+    try {
+      code = await withTimeout(client.requestPairingCode(phone, true), PAIRING_TIMEOUT_MS, 'requestPairingCode()');
+    } catch (err) {
+      if (this.pairing === pairing) this.pairing = null;
+      throw new SessionError(`Could not get a pairing code: ${err.message}`, 502);
+    }
+    if (client !== this.client || this.pairing !== pairing)
+      throw new SessionError(`Session "${this.id}" restarted while the code was requested — try again`, 409);
+
+    if (pairing.code !== code) {
+      Object.assign(pairing, { code, codeAt: new Date() });
+      this.emit('pairing_code', code);
+    }
+    this.machine.transition(ClientState.WAITING_FOR_PAIRING, `pairing code for ${maskPhone(phone)}`);
+    console.log(`🔢 [${this.id}] Pairing code issued for ${maskPhone(phone)} — enter it on the phone under Linked Devices`);
+    return pairing;
+  }
+
+  // Start a lifecycle operation. `steps` is [[name, async fn], ...], run in
+  // order until one throws. Returns a promise for the finished operation;
+  // `this.operation` shows progress meanwhile and each change is emitted as
+  // 'operation'. Throws SessionError 409 while another one is in flight.
+  runOperation(action, steps) {
+    this.assertIdle();
+    const op = this.operation = {
+      id:         crypto.randomUUID(),
+      action,
+      running:    true,
+      result:     null,
+      error:      null,
+      startedAt:  new Date(),
+      finishedAt: null,
+      steps:      steps.map(([name]) => ({ name, state: 'pending', startedAt: null, finishedAt: null, error: null })),
+    };
+    console.log(`🛠️  [${this.id}] ${action} started`);
+    this.emit('operation', op);
+
+    return (async () => {
+      for (const [i, [, fn]] of steps.entries()) {
+        const step = op.steps[i];
+        Object.assign(step, { state: 'running', startedAt: new Date() });
+        this.emit('operation', op);
+        try {
+          await fn();
+          Object.assign(step, { state: 'done', finishedAt: new Date() });
+          console.log(`🛠️  [${this.id}] ${action}: ${step.name} ✓`);
+        } catch (err) {
+          Object.assign(step, { state: 'failed', finishedAt: new Date(), error: err.message });
+          op.error = `${step.name}: ${err.message}`;
+          console.error(`❌ [${this.id}] ${action}: ${step.name} failed:`, err.message);
+          break;
+        }
+        this.emit('operation', op);
+      }
+      for (const step of op.steps) if (step.state === 'pending') step.state = 'skipped';
+      Object.assign(op, { running: false, result: op.error ? 'failed' : 'done', finishedAt: new Date() });
+      console.log(`🛠️  [${this.id}] ${action} ${op.result}`);
+      this.emit('operation', op);
+      return op;
+    })();
+  }
+
+  // `to` is a chat id ("963...@c.us") or bare phone digits
+  send(to, content, options = {}) {
+    const chatId = String(to).includes('@') ? to : `${to}@c.us`;
+    return this.client.sendMessage(chatId, content, { sendSeen: false, ...options });
+  }
+
+  status({ historyLimit = 0 } = {}) {
+    return {
+      id:             this.id,
+      label:          this.label,
+      prefixes:       this.prefixes,
+      state:          this.state,
+      stateSince:     this.machine.since,
+      ...(historyLimit ? { history: this.machine.history(historyLimit) } : {}),
+      clientReady:    this.ready,
+      hasQR:          !!this.qrValue,
+      hasPairingCode: !!this.pairing?.code,
+      pairing:        this.pairing && { phone: maskPhone(this.pairing.phone), requestedAt: this.pairing.requestedAt, codeAt: this.pairing.codeAt },
+      initializing:   this.initializing,
+      health:         this.health,
+      operation:      this.operation,
+      wid:            this.ready ? this.client?.info?.wid?._serialized : undefined,
+    };
+  }
+
+  _clearLogin() {
+    this.qrValue = null;
+    this.pairing = null;
+  }
+
+  // destroy() goes through the browser, which is what hangs when Chromium is
+  // frozen — give up after a while and kill the process we launched
+  async _destroyClient(client) {
+    try {
+      await withTimeout(client.destroy(), DESTROY_TIMEOUT_MS, 'client.destroy()');
+    } catch (err) {
+      console.warn(`⚠️  [${this.id}] ${err.message} — killing the browser`);
+      try { client.pupBrowser?.process()?.kill('SIGKILL'); } catch {}
+    }
+  }
+
+  _removeLockFiles() {
+    const lockFiles = [
+      path.join(process.cwd(), this._authDir, this.sessionKey, 'SingletonLock'),
+      path.join(process.cwd(), this._authDir, 'SingletonLock'),
+      path.join(process.cwd(), this._authDir, 'session', 'SingletonLock'),
+    ];
+    for (const file of lockFiles) {
+      if (!fs.existsSync(file)) continue;
+      try {
+        fs.unlinkSync(file);
+        console.log(`🧹 [${this.id}] Removed lock file: ${file}`);
+      } catch {
+        console.warn(`⚠️ [${this.id}] Could not remove lock file: ${file}`);
+      }
+    }
+  }
+}
+
+export class SessionRegistry extends EventEmitter {
+  constructor(db, { defaultId, createClient, authDir }) {
+    super();
+    this._col          = db.collection('sessions');
+    this._defaultId    = defaultId;
+    this._createClient = createClient;
+    this._authDir      = authDir;
+    this._sessions     = new Map();
+  }
+
+  get defaultId() { return this._defaultId; }
+  get default()   { return this._sessions.get(this._defaultId); }
+
+  get(id) { return this._sessions.get(id); }
+  all()   { return [...this._sessions.values()]; }
+
+  // Read the session list, making sure the default session always exists
+  async load() {
+    await this._col.updateOne(
+      { _id: this._defaultId },
+      { $setOnInsert: { label: '', prefixes: [], createdAt: new Date() } },
+      { upsert: true }
+    );
+    const docs = await this._col.find({}).sort({ createdAt: 1 }).toArray();
+    for (const doc of docs) this._add(doc);
+    console.log(`[Sessions] Loaded ${docs.length} session(s): ${docs.map(d => d._id).join(', ')}`);
+  }
+
+  // Sequential on purpose — several Chromiums launching at once starve the box
+  async startAll() {
+    for (const session of this.all()) {
+      try {
+        await session.start();
+      } catch (err) {
+        console.error(`❌ [${session.id}] start failed:`, err.message);
+        session.machine.transition(ClientState.FAILED, `start: ${err.message}`);
+      }
+    }
+  }
+
+  async stopAll() {
+    await Promise.allSettled(this.all().map(s => s.stop()));
+  }
+
+  async create({ id, label = '', prefixes = [] }) {
+    if (!SESSION_ID_RE.test(id || ''))
+      throw new SessionError('id must be 1-32 letters, digits, "-" or "_"');
+    if (this._sessions.has(id))
+      throw new SessionError(`Session "${id}" already exists`, 409);
+
+    const doc = { _id: id, label: String(label), prefixes: normalizePrefixes(prefixes), createdAt: new Date() };
+    await this._col.insertOne(doc);
+    const session = this._add(doc);
+    session.start().catch(err => console.error(`❌ [${id}] start failed:`, err.message));
+    return session;
+  }
+
+  async update(id, { label, prefixes }) {
+    const session = this._require(id);
+    const $set = {};
+    if (label !== undefined)    $set.label    = session.label    = String(label);
+    if (prefixes !== undefined) $set.prefixes = session.prefixes = normalizePrefixes(prefixes);
+    await this._col.updateOne({ _id: id }, { $set });
+    return session;
+  }
+
+  async remove(id) {
+    const session = this._require(id);
+    if (id === this._defaultId)
+      throw new SessionError('The default session cannot be removed', 409);
+    await session.stop();
+    session.removeAllListeners();
+    this._sessions.delete(id);
+    await this._col.deleteOne({ _id: id });
+    return session;
+  }
+
+  // Pick the session for an outgoing message: an explicit id wins, otherwise
+  // the longest matching phone prefix, otherwise the default session.
+  route(phone, sessionId) {
+    if (sessionId) return this._require(sessionId);
+
+    let best = null;
+    let bestLen = 0;
+    for (const session of this._sessions.values()) {
+      for (const prefix of session.prefixes) {
+        if (prefix.length > bestLen && String(phone).startsWith(prefix)) {
+          best = session;
+          bestLen = prefix.length;
+        }
+      }
+    }
+    return best || this.default;
+  }
+
+  _require(id) {
+    const session = this._sessions.get(id);
+    if (!session) throw new SessionError(`Session "${id}" not found`, 404);
+    return session;
+  }
+
+  _add({ _id: id, label, prefixes }) {
+    const session = new WhatsAppSession(id, {
+      createClient: this._createClient,
+      authDir:      this._authDir,
+      label,
+      prefixes,
+    });
+    this._sessions.set(id, session);
+    this.emit('session', session);
+    return session;
+  }
+}
+
+function normalizePrefixes(prefixes) {
+  return [].concat(prefixes || [])
+    .map(p => String(p).replace(/\D/g, ''))
+    .filter(Boolean);
+}
@@ -1,111 +1,502 @@
 import archiver from 'archiver';
-import { createWriteStream, createReadStream } from 'fs';
-import { Extract } from 'unzipper';
+import crypto from 'crypto';
+import { EventEmitter } from 'events';
+import fs from 'fs';
+import path from 'path';
+import { GridFSBucket } from 'mongodb';
+import { isSealed, sealedKeyId } from './cipher.js';
+import {
+  S3Client, GetObjectCommand, PutObjectCommand, DeleteObjectCommand, HeadObjectCommand,
+} from '@aws-sdk/client-s3';
 
-class MongoStore {
-  constructor() {
-    this._client = null;
-    this._db = null;
-    this._bucket = null;
+// ─── Session stores ───────────────────────────────────────────────────────────
+// Where RemoteAuth keeps the zipped browser profile of each linked number, so
+// a redeploy restores the login instead of asking for a new QR scan.
+// RemoteAuth only talks to its store through sessionExists / save / extract /
+// delete, each called with { session: 'RemoteAuth-<id>' }; the backends below
+// implement that once on top of four primitives (_exists, _put, _get, _remove)
+// over named archives:
+//
+//   mongo  GridFS default bucket, one file per archive
+//   local  <dir>/<name>.zip — a mounted volume, or for development
+//   s3     <bucket>/<prefix><name>.zip on AWS S3 or anything speaking its
+//          API (MinIO, R2, Spaces)
+//
+// Every save is a new version ("RemoteAuth-<id>.v<n>", numbered from a
+// counter in `session_backup_seq`) recorded in the `session_backups`
+// collection with its SHA-256, size and time; the last `keep` versions are
+// kept. extract() restores the pinned version if there is one, otherwise the
+// newest, and falls back to older versions when an archive is missing or
+// fails its checksum (not when the store can't be reached). Archives saved
+// before versioning (named just "RemoteAuth-<id>") are adopted as version 1.
+//
+// With a cipher (see src/cipher.js) archives are sealed before they are
+// stored and checksums cover the sealed bytes. migrate() re-seals plaintext
+// archives and those written with a retired key.
+//
+// Each successful save emits 'saved' with { session, version, bytes, durationMs }.
+
+export const STORE_KINDS = Object.freeze(['mongo', 'local', 's3']);
+
+// Never worth restoring: Chromium locks and caches it rebuilds on its own.
+// Only used when we have to zip the profile directory ourselves.
+const PROFILE_IGNORE = [
+  'SingletonLock', 'SingletonCookie', 'SingletonSocket',
+  '**/Cache/**', '**/Code Cache/**', '**/GPUCache/**', '**/Service Worker/CacheStorage/**',
+];
+
+export class StoreError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+class SessionStore extends EventEmitter {
+  constructor(label, { db, authDir, keep = 5, cipher = null }) {
+    super();
+    this._label   = label;
+    this._authDir = authDir;
+    this._keep    = Math.max(1, keep);
+    this._cipher  = cipher;
+    this._backups = db.collection('session_backups');
+    this._seq     = db.collection('session_backup_seq');
   }
 
   async init() {
-    this._client = new MongoClient(MONGODB_URI, {
-      serverSelectionTimeoutMS: 10_000,
-      connectTimeoutMS: 10_000,
-    });
-    await this._client.connect();
-    this._db = this._client.db('whatsapp_bot');
-    const { GridFSBucket } = await import('mongodb');
-    this._bucket = new GridFSBucket(this._db);
-    console.log('[MongoDB] Connected — GridFS ready ✓');
+    await this._backups.createIndex({ session: 1, version: -1 });
+    console.log(`[${this._label}] Keeping the last ${this._keep} session backup(s) ✓`);
+    if (this._cipher) console.log(`🔐 [${this._label}] Archives encrypted with key "${this._cipher.keyId}" ✓`);
+    else              console.warn(`⚠️  [${this._label}] Archives are stored unencrypted — set SESSION_ENCRYPTION_KEY`);
+  }
+
+  // Re-seal every stored version that is plaintext or uses a retired key.
+  // Each one gets a new object first and the old one is removed after the
+  // manifest points at it, so an interrupted run loses nothing.
+  async migrate(sessions) {
+    if (!this._cipher) return 0;
+    let migrated = 0;
+    for (const session of sessions) {
+      await this._adoptLegacy(session);
+      const entries = await this._backups.find({ session, bad: null, keyId: { $ne: this._cipher.keyId } }).toArray();
+      for (const entry of entries) {
+        try {
+          const plain = await this._load(entry);
+          if (!plain) continue;
+          const sealed = this._cipher.seal(plain);
+          const object = `${entry._id}.${this._cipher.keyId}`;
+          await this._put(object, sealed);
+          await this._backups.updateOne(
+            { _id: entry._id },
+            { $set: { object, sha256: sha256(sealed), size: sealed.length, keyId: this._cipher.keyId } }
+          );
+          await this._remove(entry.object);
+          migrated++;
+        } catch (err) {
+          console.error(`[${this._label}] migrate error (${session} v${entry.version}):`, err.message);
+        }
+      }
+    }
+    if (migrated) console.log(`🔐 [${this._label}] Re-encrypted ${migrated} session archive(s) with key "${this._cipher.keyId}"`);
+    return migrated;
   }
 
   async sessionExists({ session }) {
     try {
-      const file = await this._db.collection('fs.files').findOne({ filename: session });
-      return !!file;
-    } catch (err) { return false; }
+      const exists = (await this._usable(session)).length > 0;
+      console.log(`[${this._label}] sessionExists("${session}") → ${exists}`);
+      return exists;
+    } catch (err) {
+      console.error(`[${this._label}] sessionExists error:`, err.message);
+      return false;
+    }
   }
 
-  async save({ session: sessionDir }) {
-    const sessionName = path.basename(sessionDir);
-    const tempDir = path.join(process.cwd(), AUTH_DIR, `temp_${sessionName}`);
-    
-    console.log(`[MongoDB] save() — Archiving session: "${sessionName}"`);
-    
+  async save({ session }) {
+    const name    = path.basename(session);
+    const started = Date.now();
     try {
-      // 1. تنظيف ونسخ المجلد (Static Copy)
-      if (fs.existsSync(tempDir)) fs.rmSync(tempDir, { recursive: true, force: true });
-      fs.cpSync(sessionDir, tempDir, { recursive: true });
-
-      // 2. حذف الملفات التي تسبب ضخامة الحجم وتعليق المتصفح
-      const toDelete = [
-        'SingletonLock', 'SingletonCookie', 'SingletonSocket',
-        'Default/Cache', 'Default/Code Cache', 'Default/GPUCache'
-      ];
-      toDelete.forEach(p => {
-        const fullPath = path.join(tempDir, p);
-        if (fs.existsSync(fullPath)) fs.rmSync(fullPath, { recursive: true, force: true });
-      });
-
-      // 3. حذف الملف القديم
-      const oldFile = await this._db.collection('fs.files').findOne({ filename: sessionName });
-      if (oldFile) await this._bucket.delete(oldFile._id);
-
-      // 4. الرفع باستخدام Stream مع ضمان الإغلاق الكامل
-      await new Promise((resolve, reject) => {
-        const uploadStream = this._bucket.openUploadStream(sessionName);
-        const archive = archiver('zip', { zlib: { level: 9 } }); // أقصى ضغط لتقليل الحجم
-
-        archive.on('error', reject);
-        uploadStream.on('error', reject);
-        uploadStream.on('finish', () => {
-          console.log(`✅ [MongoDB] Session saved successfully.`);
-          resolve();
-        });
-
-        archive.pipe(uploadStream);
-        archive.directory(tempDir, false);
-        archive.finalize();
-      });
+      const archive = await this._readArchive(name);
+      const entry   = await this._store(name, archive);
+      console.log(`✅ [${this._label}] Session "${name}" saved as v${entry.version} (${archive.length} bytes)`);
+      this.emit('saved', { session: name, version: entry.version, bytes: entry.size, durationMs: Date.now() - started });
+      await this._prune(name);
+    } catch (err) {
+      console.error(`[${this._label}] save error:`, err.message);
+      throw err;
+    }
+  }
 
+  // Try the candidates in order; a version that is missing or fails its
+  // checksum is marked bad so it's skipped from now on. If the store can't
+  // be read at all the restore fails, and every version stays as it was.
+  async extract({ session, path: destZipPath }) {
+    try {
+      for (const entry of await this._usable(session)) {
+        const archive = await this._load(entry);
+        if (!archive) continue;
+        await fs.promises.mkdir(path.dirname(destZipPath), { recursive: true });
+        await fs.promises.writeFile(destZipPath, archive);
+        console.log(`✅ [${this._label}] Session "${session}" v${entry.version} written to "${destZipPath}" (${archive.length} bytes)`);
+        return;
+      }
+      throw new Error(`Session "${session}" has no usable backup`);
     } catch (err) {
-      console.error('[MongoDB] save error:', err.message);
+      console.error(`[${this._label}] extract error:`, err.message);
       throw err;
-    } finally {
-      if (fs.existsSync(tempDir)) fs.rmSync(tempDir, { recursive: true, force: true });
     }
   }
 
-  async extract({ session: sessionName, path: destZipPath }) {
-    console.log(`[MongoDB] extract() — downloading: "${sessionName}"`);
+  // Never throws: RemoteAuth calls this from the client's own logout and
+  // disconnect handlers, where an error would be unhandled. Returns false
+  // when something could not be deleted, for callers that need to know.
+  async delete({ session }) {
+    try {
+      const entries = await this._backups.find({ session }).toArray();
+      for (const entry of entries) await this._removeVersion(entry);
+      await this._remove(session);   // a legacy archive nobody adopted yet
+      console.log(`[${this._label}] Session "${session}" deleted (${entries.length} version(s)) ✓`);
+      return true;
+    } catch (err) {
+      console.error(`[${this._label}] delete error:`, err.message);
+      return false;
+    }
+  }
+
+  async close() {}
+
+  // ─── Versions (admin API) ──────────────────────────────────────────────────
+
+  async versions(session) {
+    await this._adoptLegacy(session);
+    const entries = await this._backups.find({ session }).sort({ version: -1 }).toArray();
+    return entries.map(present);
+  }
+
+  // Restore this version on every start until unpinned, even after newer saves
+  async pin(session, version) {
+    const entry = await this._requireVersion(session, version);
+    if (entry.bad) throw new StoreError(`Version ${version} failed verification and cannot be pinned`, 409);
+    await this._backups.updateMany({ session, pinned: true }, { $set: { pinned: false } });
+    await this._backups.updateOne({ _id: entry._id }, { $set: { pinned: true } });
+    console.log(`📌 [${this._label}] Session "${session}" pinned to v${version}`);
+    return present({ ...entry, pinned: true });
+  }
+
+  async unpin(session) {
+    const { modifiedCount } = await this._backups.updateMany({ session, pinned: true }, { $set: { pinned: false } });
+    if (modifiedCount) console.log(`📌 [${this._label}] Session "${session}" unpinned`);
+    return modifiedCount > 0;
+  }
+
+  // Copy an older version forward as the newest one. Nothing is deleted, so
+  // the versions saved after it can still be restored the same way.
+  async rollback(session, version) {
+    const entry   = await this._requireVersion(session, version);
+    const archive = await this._load(entry);
+    if (!archive) throw new StoreError(`Version ${version} failed verification`, 409);
+    const copy = await this._store(session, archive, { rolledBackFrom: entry.version });
+    console.log(`⏪ [${this._label}] Session "${session}" rolled back to v${entry.version} (now v${copy.version})`);
+    await this._prune(session);
+    return present(copy);
+  }
+
+  // ─── Internals ─────────────────────────────────────────────────────────────
+
+  // Pinned version first, then newest to oldest; bad versions are skipped
+  async _usable(session) {
+    await this._adoptLegacy(session);
+    const entries = await this._backups.find({ session, bad: null }).sort({ version: -1 }).toArray();
+    return entries.sort((a, b) => Number(!!b.pinned) - Number(!!a.pinned));
+  }
+
+  async _store(session, plain, extra = {}) {
+    await this._adoptLegacy(session);   // so it is numbered, kept and migrated like the rest
+    const version = await this._nextVersion(session);
+    const object  = `${session}.v${version}`;
+    const archive = this._cipher ? this._cipher.seal(plain) : plain;
+    await this._put(object, archive);
+    const entry = {
+      _id:       object,
+      session,
+      version,
+      object,
+      sha256:    sha256(archive),
+      size:      archive.length,
+      keyId:     this._cipher?.keyId ?? null,
+      createdAt: new Date(),
+      pinned:    false,
+      bad:       null,
+      ...extra,
+    };
+    await this._backups.insertOne(entry);
+    return entry;
+  }
+
+  // Hand out version numbers from a per-session counter, so two saves that
+  // overlap (a periodic backup and a rollback) never write the same object.
+  // The counter is first raised to the newest recorded version, which seeds
+  // it for sessions saved before it existed.
+  async _nextVersion(session) {
+    const last = await this._backups.findOne({ session }, { sort: { version: -1 }, projection: { version: 1 } });
+    await this._seq.updateOne({ _id: session }, { $max: { version: last?.version || 0 } }, { upsert: true });
+    const { version } = await this._seq.findOneAndUpdate({ _id: session }, { $inc: { version: 1 } }, { returnDocument: 'after' });
+    return version;
+  }
+
+  // Returns the plaintext archive, or null if this version can't be used.
+  // Only integrity failures mark it bad: a missing object or one whose size
+  // or checksum is wrong. A read that fails (store unreachable, timeout,
+  // denied) is thrown as is, so a passing outage never condemns a good
+  // backup. When the stored bytes check out but won't decrypt, the key
+  // configuration is what needs fixing.
+  async _load(entry) {
+    const archive = await this._get(entry.object);
+    let reason = null;
+    if (!archive)                              reason = 'archive missing';
+    else if (archive.length !== entry.size)    reason = `size mismatch (${archive.length} ≠ ${entry.size})`;
+    else if (sha256(archive) !== entry.sha256) reason = 'checksum mismatch';
+    if (!reason) return this._open(entry, archive);
+
+    console.warn(`⚠️  [${this._label}] Session "${entry.session}" v${entry.version} ${reason} — skipping it`);
+    await this._backups.updateOne({ _id: entry._id }, { $set: { bad: { reason, at: new Date() }, pinned: false } });
+    return null;
+  }
+
+  _open(entry, archive) {
+    if (!isSealed(archive)) return archive;
+    try {
+      if (!this._cipher) throw new Error(`encrypted with key "${sealedKeyId(archive)}" but SESSION_ENCRYPTION_KEY is not set`);
+      return this._cipher.open(archive);
+    } catch (err) {
+      console.error(`❌ [${this._label}] Session "${entry.session}" v${entry.version} cannot be decrypted: ${err.message}`);
+      return null;
+    }
+  }
+
+  // Keep the newest `keep` versions and whatever is pinned
+  async _prune(session) {
+    const entries = await this._backups.find({ session }).sort({ version: -1 }).toArray();
+    for (const entry of entries.slice(this._keep)) {
+      if (entry.pinned) continue;
+      try {
+        await this._removeVersion(entry);
+      } catch (err) {
+        console.error(`[${this._label}] prune error (v${entry.version}):`, err.message);
+      }
+    }
+  }
+
+  async _removeVersion(entry) {
+    await this._remove(entry.object);
+    await this._backups.deleteOne({ _id: entry._id });
+  }
+
+  // An archive saved before versioning lives under the bare session name and
+  // has no checksum yet; record the one it has now
+  async _adoptLegacy(session) {
+    if (await this._backups.findOne({ session }, { projection: { _id: 1 } })) return;
+    if (!(await this._exists(session))) return;
+    const archive = await this._get(session);
+    if (!archive) return;
+    await this._backups.updateOne(
+      { _id: `${session}.v1` },
+      {
+        $setOnInsert: {
+          session, version: 1, object: session, sha256: sha256(archive), size: archive.length,
+          keyId: sealedKeyId(archive), createdAt: new Date(), pinned: false, bad: null,
+        },
+      },
+      { upsert: true }
+    );
+    console.log(`[${this._label}] Adopted existing archive "${session}" as v1`);
+  }
+
+  async _requireVersion(session, version) {
+    await this._adoptLegacy(session);
+    const entry = await this._backups.findOne({ session, version: Number(version) });
+    if (!entry) throw new StoreError(`Session "${session}" has no backup version ${version}`, 404);
+    return entry;
+  }
+
+  // RemoteAuth writes <authDir>/<session>.zip (only the profile dirs it needs)
+  // right before calling save(); fall back to zipping the profile directory
+  // for callers that only have the live session
+  async _readArchive(name) {
+    const zipPath = path.join(this._authDir, `${name}.zip`);
+    if (fs.existsSync(zipPath)) return fs.promises.readFile(zipPath);
+
+    const dir = path.join(this._authDir, name);
+    if (!fs.existsSync(dir)) throw new Error(`Session archive not found: "${zipPath}" or "${dir}"`);
+    console.log(`[${this._label}] Zipping profile directory "${dir}"`);
+    return zipDirectory(dir);
+  }
+}
+
+export class GridFsStore extends SessionStore {
+  constructor(db, { authDir, keep, cipher }) {
+    super('MongoDB', { db, authDir, keep, cipher });
+    this._files  = db.collection('fs.files');
+    this._bucket = new GridFSBucket(db);
+  }
+
+  async _exists(name) {
+    return !!(await this._files.findOne({ filename: name }, { projection: { _id: 1 } }));
+  }
+
+  // Upload first, then drop older copies, so a failed upload keeps the last one
+  async _put(name, archive) {
+    const upload = this._bucket.openUploadStream(name);
+    await new Promise((resolve, reject) => {
+      upload.once('finish', resolve);
+      upload.once('error', reject);
+      upload.end(archive);
+    });
+    const older = await this._files.find({ filename: name, _id: { $ne: upload.id } }).toArray();
+    for (const file of older) await this._bucket.delete(file._id);
+  }
+
+  async _get(name) {
+    const file = await this._files.findOne({ filename: name }, { sort: { uploadDate: -1 } });
+    if (!file) return null;
+    const chunks = [];
+    for await (const chunk of this._bucket.openDownloadStream(file._id)) chunks.push(chunk);
+    return Buffer.concat(chunks);
+  }
+
+  async _remove(name) {
+    const files = await this._files.find({ filename: name }).toArray();
+    for (const file of files) await this._bucket.delete(file._id);
+  }
+}
+
+export class LocalDirStore extends SessionStore {
+  constructor({ db, dir, authDir, keep, cipher }) {
+    super('LocalStore', { db, authDir, keep, cipher });
+    this._dir = path.resolve(dir);
+  }
+
+  _file(name) {
+    return path.join(this._dir, `${path.basename(name)}.zip`);
+  }
+
+  async _exists(name) {
+    return fs.existsSync(this._file(name));
+  }
+
+  // Write beside the target and rename, so a crash mid-write never leaves a
+  // truncated archive behind
+  async _put(name, archive) {
+    await fs.promises.mkdir(this._dir, { recursive: true });
+    const file = this._file(name);
+    const tmp  = `${file}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tmp, archive);
+    await fs.promises.rename(tmp, file);
+  }
+
+  async _get(name) {
     try {
-      const file = await this._db.collection('fs.files').findOne({ filename: sessionName });
-      if (!file) throw new Error('Session not found');
+      return await fs.promises.readFile(this._file(name));
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+      throw err;
+    }
+  }
 
-      const destDir = path.dirname(destZipPath);
-      if (!fs.existsSync(destDir)) fs.mkdirSync(destDir, { recursive: true });
+  async _remove(name) {
+    await fs.promises.rm(this._file(name), { force: true });
+  }
+}
 
-      const downloadStream = this._bucket.openDownloadStream(file._id);
-      const writeStream = fs.createWriteStream(destZipPath);
+export class S3Store extends SessionStore {
+  constructor({ db, bucket, prefix = '', endpoint, region = 'us-east-1', accessKeyId, secretAccessKey, forcePathStyle, authDir, keep, cipher }) {
+    super('S3', { db, authDir, keep, cipher });
+    if (!bucket) throw new Error('S3 session store needs a bucket');
+    this._bucketName = bucket;
+    this._prefix     = prefix;
+    this._client     = new S3Client({
+      region,
+      ...(endpoint ? { endpoint } : {}),
+      // MinIO and most self-hosted endpoints don't do virtual-host buckets
+      forcePathStyle: forcePathStyle ?? !!endpoint,
+      ...(accessKeyId ? { credentials: { accessKeyId, secretAccessKey } } : {}),
+    });
+  }
 
-      // استخدام pipeline مع التأكد من إفراغ الذاكرة المؤقتة للقرص (Flash to disk)
-      await pipeline(downloadStream, writeStream);
-      
-      // [إضافة حاسمة] التأكد من أن نظام التشغيل أغلق الملف تماماً
-      const fd = fs.openSync(destZipPath, 'r+');
-      fs.fsyncSync(fd);
-      fs.closeSync(fd);
+  _key(name) {
+    return `${this._prefix}${path.basename(name)}.zip`;
+  }
+
+  async _exists(name) {
+    try {
+      await this._client.send(new HeadObjectCommand({ Bucket: this._bucketName, Key: this._key(name) }));
+      return true;
+    } catch (err) {
+      if (isNotFound(err)) return false;
+      throw err;
+    }
+  }
 
-      // انتظار بسيط جداً لضمان استقرار الملف قبل أن تقرأه مكتبة الواتساب
-      await new Promise(r => setTimeout(r, 1000));
+  async _put(name, archive) {
+    await this._client.send(new PutObjectCommand({
+      Bucket:      this._bucketName,
+      Key:         this._key(name),
+      Body:        archive,
+      ContentType: 'application/zip',
+    }));
+  }
 
-      const stats = fs.statSync(destZipPath);
-      console.log(`✅ [MongoDB] File extracted: ${stats.size} bytes`);
+  async _get(name) {
+    try {
+      const { Body } = await this._client.send(new GetObjectCommand({ Bucket: this._bucketName, Key: this._key(name) }));
+      return Buffer.from(await Body.transformToByteArray());
     } catch (err) {
-      console.error('[MongoDB] extract error:', err.message);
+      if (isNotFound(err)) return null;
       throw err;
     }
   }
+
+  async _remove(name) {
+    await this._client.send(new DeleteObjectCommand({ Bucket: this._bucketName, Key: this._key(name) }));
+  }
+
+  async close() {
+    this._client.destroy();
+  }
+}
+
+// Build the store named by SESSION_STORE. Every backend records its versions
+// in MongoDB (`db`); 'mongo' also keeps the archives there. `cipher` is an
+// ArchiveCipher, or null to store archives as they are.
+export function createSessionStore(kind, { db, authDir, keep, cipher = null, dir, s3 = {} }) {
+  switch (kind) {
+    case 'mongo': return new GridFsStore(db, { authDir, keep, cipher });
+    case 'local': return new LocalDirStore({ db, dir, authDir, keep, cipher });
+    case 's3':    return new S3Store({ ...s3, db, authDir, keep, cipher });
+    default:      throw new Error(`Unknown session store "${kind}" — use one of ${STORE_KINDS.join(', ')}`);
+  }
+}
+
+function sha256(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+function present({ _id, session, object, ...entry }) {
+  return entry;
+}
+
+function isNotFound(err) {
+  return err?.name === 'NotFound' || err?.name === 'NoSuchKey' || err?.$metadata?.httpStatusCode === 404;
+}
+
+function zipDirectory(dir) {
+  return new Promise((resolve, reject) => {
+    const chunks  = [];
+    const archive = archiver('zip', { zlib: { level: 6 } });
+    archive.on('data', chunk => chunks.push(chunk));
+    archive.on('end', () => resolve(Buffer.concat(chunks)));
+    archive.on('error', reject);
+    archive.glob('**/*', { cwd: dir, dot: true, ignore: PROFILE_IGNORE });
+    archive.finalize();
+  });
 }
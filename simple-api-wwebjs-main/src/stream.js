@@ -0,0 +1,72 @@
+// ─── Live events ──────────────────────────────────────────────────────────────
+// Server-Sent Events, which the dashboard and login pages listen to instead
+// of polling. Each event is one JSON object; subscribers can narrow the
+// stream to one session and only get events for it (events without a
+// sessionId go to everyone), and can leave out whole event types — a caller
+// who may not log in a number never gets `qr` or `pairing_code`. Nothing is
+// buffered: a page that reconnects starts again from the snapshot it is sent
+// on connect.
+//
+//   state         { sessionId, from, to, reason, at }
+//   qr            { sessionId, qr, image }        image is a data: URL
+//   pairing_code  { sessionId, code }
+//   operation     { sessionId, operation }
+//   queue         { sessionId, depth }
+//   send          { sessionId, id, phone, kind, result, ... }   phone masked
+
+const HEARTBEAT_MS = 25_000;
+
+export class EventStream {
+  constructor({ heartbeatMs = HEARTBEAT_MS } = {}) {
+    this._subscribers = new Set();   // { res, sessionId, omit }
+    this._heartbeat   = setInterval(() => {
+      for (const { res } of this._subscribers) res.write(': ping\n\n');
+    }, heartbeatMs);
+    this._heartbeat.unref();
+  }
+
+  get size() { return this._subscribers.size; }
+
+  // Keep `res` open as an event stream. `snapshot` is [[event, data], ...],
+  // or a promise of it, written first so the page starts from the current
+  // state. The subscriber is registered (and its close handled) before the
+  // snapshot is ready; live events meanwhile wait behind it. `omit` lists
+  // event types this subscriber never receives.
+  async subscribe(req, res, { sessionId = null, snapshot = [], omit = [] } = {}) {
+    res.writeHead(200, {
+      'Content-Type':      'text/event-stream',
+      'Cache-Control':     'no-cache, no-transform',
+      'Connection':        'keep-alive',
+      'X-Accel-Buffering': 'no',   // don't let a proxy hold events back
+    });
+    res.write('retry: 3000\n\n');
+    const subscriber = { res, sessionId, omit: new Set(omit), pending: [] };
+    this._subscribers.add(subscriber);
+    req.on('close', () => this._subscribers.delete(subscriber));
+
+    const first = await snapshot;
+    if (!this._subscribers.has(subscriber)) return;   // gone while it was built
+    for (const [event, data] of [...first, ...subscriber.pending])
+      if (!subscriber.omit.has(event)) write(subscriber, event, data);
+    subscriber.pending = null;
+  }
+
+  publish(event, data) {
+    for (const subscriber of this._subscribers) {
+      if (subscriber.omit.has(event)) continue;
+      if (subscriber.sessionId && data.sessionId && data.sessionId !== subscriber.sessionId) continue;
+      if (subscriber.pending) subscriber.pending.push([event, data]);
+      else write(subscriber, event, data);
+    }
+  }
+
+  close() {
+    clearInterval(this._heartbeat);
+    for (const { res } of this._subscribers) res.end();
+    this._subscribers.clear();
+  }
+}
+
+function write({ res }, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
@@ -0,0 +1,176 @@
+// ─── Message templates ────────────────────────────────────────────────────────
+// Named texts with {{variable}} placeholders and one variant per locale, kept
+// in `templates`. Built-in templates (the OTP text) are passed in at
+// construction; a stored template with the same name overrides them.
+//
+// Substituted values are stripped of bidi control characters, and in RTL
+// locales each value is wrapped in a first-strong isolate so a Latin or
+// numeric value (a code, an order id) can't reorder the Arabic around it.
+
+export const LOCALES     = Object.freeze(['en', 'ar']);
+const RTL_LOCALES        = ['ar'];
+const NAME_RE            = /^[a-z0-9_.-]{1,64}$/i;
+const VAR_RE             = /\{\{\s*([a-z0-9_]+)\s*\}\}/gi;
+const BIDI_CONTROLS_RE   = /[\u200e\u200f\u202a-\u202e\u2066-\u2069]/g;
+const MAX_TEXT_LENGTH    = 4096;
+const FSI = '\u2068';   // first strong isolate
+const PDI = '\u2069';   // pop directional isolate
+
+export class TemplateError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+export class TemplateService {
+  constructor(db, { defaultLocale = 'en', builtIns = {} } = {}) {
+    this._col           = db.collection('templates');
+    this._defaultLocale = LOCALES.includes(defaultLocale) ? defaultLocale : LOCALES[0];
+    this._builtIns      = builtIns;   // { name: { description, locales } }
+  }
+
+  async init() {
+    const count = await this._col.countDocuments({});
+    console.log(`[Templates] ${count} stored template(s), default locale "${this._defaultLocale}" ✓`);
+  }
+
+  async create({ name, description = '', locales }) {
+    if (!NAME_RE.test(name || ''))
+      throw new TemplateError('name must be 1-64 letters, digits, ".", "-" or "_"');
+    if (await this._col.findOne({ _id: name }))
+      throw new TemplateError(`Template "${name}" already exists`, 409);
+
+    const now = new Date();
+    const doc = {
+      _id:         name,
+      description: String(description),
+      locales:     validateLocales(locales, { required: true }),
+      createdAt:   now,
+      updatedAt:   now,
+    };
+    await this._col.insertOne(doc);
+    return present(doc);
+  }
+
+  // Stored templates plus any built-in that has not been overridden
+  async list() {
+    const docs   = await this._col.find({}).sort({ _id: 1 }).toArray();
+    const stored = new Set(docs.map(d => d._id));
+    const builtIns = Object.entries(this._builtIns)
+      .filter(([name]) => !stored.has(name))
+      .map(([name, t]) => present({ _id: name, ...t }, { builtIn: true }));
+    return [...docs.map(d => present(d)), ...builtIns];
+  }
+
+  async get(name) {
+    const doc = await this._col.findOne({ _id: name });
+    return doc ? present(doc) : present(this._builtIn(name), { builtIn: true });
+  }
+
+  // `locales` is merged per locale; a null variant removes that locale.
+  // Editing a built-in stores an override seeded from the built-in text.
+  async update(name, { description, locales }) {
+    const current = await this._find(name);
+    const merged  = { ...current.locales };
+    if (locales !== undefined) {
+      for (const [locale, text] of Object.entries(validateLocales(locales, { allowNull: true }))) {
+        if (text === null) delete merged[locale];
+        else               merged[locale] = text;
+      }
+    }
+    if (!Object.keys(merged).length)
+      throw new TemplateError('A template needs at least one locale');
+
+    const now          = new Date();
+    const $set         = { locales: merged, updatedAt: now };
+    const $setOnInsert = { createdAt: now };
+    if (description !== undefined) $set.description = String(description);
+    else                           $setOnInsert.description = current.description || '';
+
+    const doc = await this._col.findOneAndUpdate(
+      { _id: name }, { $set, $setOnInsert }, { upsert: true, returnDocument: 'after' }
+    );
+    return present(doc);
+  }
+
+  // Removing an override of a built-in reverts to the built-in text
+  async remove(name) {
+    const { deletedCount } = await this._col.deleteOne({ _id: name });
+    if (!deletedCount) throw new TemplateError(`Template "${name}" not found`, 404);
+  }
+
+  // Returns { text, locale }. Locale fallback: requested ("ar-SY" → "ar"),
+  // then the default locale, then whichever variant exists.
+  async render(name, { locale, vars = {} } = {}) {
+    const template = await this._find(name);
+    const chosen   = pickLocale(template.locales, locale, this._defaultLocale);
+    return { text: fill(template.locales[chosen], chosen, vars, `"${name}"`), locale: chosen };
+  }
+
+  // The same substitution for a text that is not stored (a campaign's
+  // message). `locale` only decides whether values get RTL isolation.
+  renderText(text, { locale, vars = {} } = {}) {
+    const all    = Object.fromEntries(LOCALES.map(l => [l, true]));
+    const chosen = pickLocale(all, locale, this._defaultLocale);
+    return { text: fill(String(text), chosen, vars, 'the message'), locale: chosen };
+  }
+
+  async _find(name) {
+    return (await this._col.findOne({ _id: name })) || this._builtIn(name);
+  }
+
+  _builtIn(name) {
+    const builtIn = this._builtIns[name];
+    if (!builtIn) throw new TemplateError(`Template "${name}" not found`, 404);
+    return { _id: name, ...builtIn };
+  }
+}
+
+function validateLocales(locales, { required = false, allowNull = false } = {}) {
+  if (locales === null || typeof locales !== 'object' || Array.isArray(locales))
+    throw new TemplateError('locales must be an object like { "en": "...", "ar": "..." }');
+  const out = {};
+  for (const [locale, text] of Object.entries(locales)) {
+    if (!LOCALES.includes(locale))
+      throw new TemplateError(`Unknown locale "${locale}" — use ${LOCALES.join(', ')}`);
+    if (text === null && allowNull) { out[locale] = null; continue; }
+    if (typeof text !== 'string' || !text.trim())
+      throw new TemplateError(`locales.${locale} must be non-empty text`);
+    if (text.length > MAX_TEXT_LENGTH)
+      throw new TemplateError(`locales.${locale} is longer than ${MAX_TEXT_LENGTH} characters`);
+    out[locale] = text;
+  }
+  if (required && !Object.keys(out).length)
+    throw new TemplateError('A template needs at least one locale');
+  return out;
+}
+
+function fill(source, locale, vars, label) {
+  if (vars === null || typeof vars !== 'object' || Array.isArray(vars))
+    throw new TemplateError('vars must be an object');
+  const missing = variablesOf(source).filter(v => vars[v] === undefined || vars[v] === null);
+  if (missing.length)
+    throw new TemplateError(`Missing variable(s) for ${label}: ${missing.join(', ')}`);
+
+  const rtl = RTL_LOCALES.includes(locale);
+  return source.replace(VAR_RE, (_m, key) => {
+    const value = String(vars[key]).replace(BIDI_CONTROLS_RE, '');
+    return rtl ? `${FSI}${value}${PDI}` : value;
+  });
+}
+
+function pickLocale(locales, requested, defaultLocale) {
+  const wanted = String(requested || '').toLowerCase();
+  const candidates = [wanted, wanted.split(/[-_]/)[0], defaultLocale];
+  return candidates.find(l => l && locales[l]) || Object.keys(locales)[0];
+}
+
+export function variablesOf(text) {
+  return [...new Set([...text.matchAll(VAR_RE)].map(m => m[1]))];
+}
+
+function present({ _id, locales, ...template }, { builtIn = false } = {}) {
+  const variables = variablesOf(Object.values(locales).join('\n'));
+  return { name: _id, ...template, locales, variables, builtIn };
+}
@@ -0,0 +1,73 @@
+// ─── Watchdog ─────────────────────────────────────────────────────────────────
+// A hung Chromium leaves the client READY while every send waits out the
+// puppeteer protocol timeout. The watchdog probes each READY client on its
+// own short timeout: client.getState() must answer CONNECTED and the page
+// must evaluate a trivial script. The first failed probe marks the session
+// unhealthy, which pauses its queue; after `maxFailures` in a row the client
+// is torn down and re-initialized (see WhatsAppSession.recover), which gets
+// recoverTimeoutMs to come back. Queued items stay in MongoDB, and one caught
+// mid-send is handed back to the queue.
+
+export class Watchdog {
+  // sessions: () => WhatsAppSession[]
+  constructor(sessions, { intervalMs = 30_000, timeoutMs = 10_000, maxFailures = 2, recoverTimeoutMs = 120_000 } = {}) {
+    this._sessions    = sessions;
+    this._intervalMs  = intervalMs;
+    this._timeoutMs   = timeoutMs;
+    this._maxFailures = maxFailures;
+    this._recoverTimeoutMs = recoverTimeoutMs;
+    this._timer       = null;
+    this._running     = false;
+  }
+
+  start() {
+    if (this._timer) return;
+    this._timer = setInterval(() => this.tick().catch(err =>
+      console.error('❌ [Watchdog] tick error:', err.message)
+    ), this._intervalMs);
+    console.log(`⏱️  [Watchdog] Probing clients every ${this._intervalMs / 1000}s (timeout ${this._timeoutMs / 1000}s)`);
+  }
+
+  stop() {
+    clearInterval(this._timer);
+    this._timer = null;
+  }
+
+  async tick() {
+    if (this._running) return;   // a probe that hangs must not stack up
+    this._running = true;
+    try {
+      // Sessions in the middle of an admin restart/logout are left alone
+      await Promise.all(this._sessions().filter(s => s.ready && !s.busy).map(s => this.check(s)));
+    } finally {
+      this._running = false;
+    }
+  }
+
+  async check(session) {
+    try {
+      await this._probe(session.client);
+      session.markHealthy();
+    } catch (err) {
+      const failures = session.markUnhealthy(err.message);
+      console.warn(`🩺 [Watchdog] [${session.id}] Probe failed (${failures}/${this._maxFailures}): ${err.message}`);
+      if (failures >= this._maxFailures)
+        await session.recover(`watchdog: ${err.message}`, { timeoutMs: this._recoverTimeoutMs });
+    }
+  }
+
+  async _probe(client) {
+    const state = await withTimeout(client.getState(), this._timeoutMs, 'getState()');
+    if (state !== 'CONNECTED') throw new Error(`getState() returned ${state}`);
+    if (!client.pupPage) throw new Error('no browser page');
+    await withTimeout(client.pupPage.evaluate(() => 1), this._timeoutMs, 'page evaluate');
+  }
+}
+
+export function withTimeout(promise, ms, what) {
+  let timer;
+  return Promise.race([
+    promise,
+    new Promise((_, reject) => { timer = setTimeout(() => reject(new Error(`${what} timed out after ${ms}ms`)), ms); }),
+  ]).finally(() => clearTimeout(timer));
+}
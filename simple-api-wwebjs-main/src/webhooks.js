@@ -0,0 +1,356 @@
+import crypto from 'crypto';
+
+// ─── Webhooks ─────────────────────────────────────────────────────────────────
+// Subscriptions live in `webhooks`; every event fan-outs into one document per
+// subscriber in `webhook_deliveries`, which doubles as the delivery log. A
+// dispatcher loop POSTs due deliveries and reschedules failures with backoff.
+// Up to `concurrency` deliveries are in flight at once, at most
+// `perWebhook` of them to the same subscriber, so one slow endpoint can't
+// hold up the others. A delivery claimed by a worker that never finished is
+// handed out again once its lease has run out.
+//
+// Each request is signed: X-Webhook-Signature = "sha256=" + HMAC-SHA256 of
+// `${X-Webhook-Timestamp}.${body}` with the subscription secret.
+
+export const WEBHOOK_EVENTS = Object.freeze([
+  'message.sent',
+  'message.failed',
+  'message.ack',
+  'message.received',
+  'session.qr',
+  'session.pairing_code',
+  'session.ready',
+  'session.disconnected',
+  'session.auth_failure',
+]);
+
+export const DeliveryState = Object.freeze({
+  PENDING:    'pending',
+  DELIVERING: 'delivering',
+  DELIVERED:  'delivered',
+  FAILED:     'failed',
+});
+
+export class WebhookError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+export class WebhookService {
+  constructor(db, {
+    maxAttempts   = 8,
+    baseDelayMs   = 5_000,
+    maxDelayMs    = 3600_000,
+    timeoutMs     = 10_000,
+    intervalMs    = 5_000,
+    retentionMs   = 7 * 24 * 3600_000,
+    concurrency   = 4,
+    perWebhook    = 2,
+  } = {}) {
+    this._hooks       = db.collection('webhooks');
+    this._deliveries  = db.collection('webhook_deliveries');
+    this._maxAttempts = maxAttempts;
+    this._baseDelayMs = baseDelayMs;
+    this._maxDelayMs  = maxDelayMs;
+    this._timeoutMs   = timeoutMs;
+    this._intervalMs  = intervalMs;
+    this._retentionMs = retentionMs;
+    this._concurrency = Math.max(1, concurrency);
+    this._perWebhook  = Math.max(1, perWebhook);
+    this._timer       = null;
+    this._reclaimer   = null;
+    this._busy        = false;
+    this._inFlight    = new Map();   // webhookId → deliveries being sent
+    this._active      = 0;
+  }
+
+  async init() {
+    await this._deliveries.createIndex({ state: 1, nextAttemptAt: 1 });
+    await this._deliveries.createIndex({ webhookId: 1, createdAt: -1 });
+    await this._deliveries.createIndex({ purgeAt: 1 }, { expireAfterSeconds: 0 });
+    console.log('[Webhooks] Collections ready ✓');
+  }
+
+  // ── Subscriptions ──────────────────────────────────────────────────────────
+  async create({ url, events = ['*'], secret, description = '' }) {
+    if (!isHttpUrl(url)) throw new WebhookError('url must be an http(s) URL');
+    events = [].concat(events);
+    const unknown = events.filter(e => e !== '*' && !WEBHOOK_EVENTS.includes(e));
+    if (unknown.length) throw new WebhookError(`Unknown event(s): ${unknown.join(', ')}`);
+
+    const hook = {
+      _id:       crypto.randomUUID(),
+      url,
+      events,
+      secret:    secret || crypto.randomBytes(32).toString('hex'),
+      description,
+      active:    true,
+      createdAt: new Date(),
+    };
+    await this._hooks.insertOne(hook);
+    return present(hook, { withSecret: true });
+  }
+
+  async list() {
+    const hooks = await this._hooks.find({}).sort({ createdAt: 1 }).toArray();
+    return hooks.map(h => present(h));
+  }
+
+  async update(id, { url, events, active, description }) {
+    const $set = {};
+    if (url !== undefined) {
+      if (!isHttpUrl(url)) throw new WebhookError('url must be an http(s) URL');
+      $set.url = url;
+    }
+    if (events !== undefined) {
+      events = [].concat(events);
+      const unknown = events.filter(e => e !== '*' && !WEBHOOK_EVENTS.includes(e));
+      if (unknown.length) throw new WebhookError(`Unknown event(s): ${unknown.join(', ')}`);
+      $set.events = events;
+    }
+    if (active !== undefined) $set.active = !!active;
+    if (description !== undefined) $set.description = String(description);
+
+    const hook = await this._hooks.findOneAndUpdate({ _id: id }, { $set }, { returnDocument: 'after' });
+    if (!hook) throw new WebhookError('Webhook not found', 404);
+    return present(hook);
+  }
+
+  async remove(id) {
+    const { deletedCount } = await this._hooks.deleteOne({ _id: id });
+    if (!deletedCount) throw new WebhookError('Webhook not found', 404);
+    await this._deliveries.updateMany(
+      { webhookId: id, state: DeliveryState.PENDING },
+      { $set: { state: DeliveryState.FAILED, lastError: 'webhook removed' } }
+    );
+  }
+
+  // ── Events ─────────────────────────────────────────────────────────────────
+  // Record one delivery per matching subscription. Never throws: webhook
+  // problems must not break the code path that raised the event.
+  async emit(event, data = {}) {
+    try {
+      const hooks = await this._hooks
+        .find({ active: true, events: { $in: [event, '*'] } })
+        .toArray();
+      if (!hooks.length) return;
+
+      const now = new Date();
+      for (const hook of hooks) {
+        await this._deliveries.insertOne({
+          _id:           crypto.randomUUID(),
+          webhookId:     hook._id,
+          url:           hook.url,
+          event,
+          payload:       data,
+          state:         DeliveryState.PENDING,
+          attempts:      0,
+          nextAttemptAt: now,
+          createdAt:     now,
+          history:       [],
+          purgeAt:       new Date(now.getTime() + this._retentionMs),
+        });
+      }
+      // Deliver right away rather than waiting for the next tick
+      setImmediate(() => this._tick());
+    } catch (err) {
+      console.error(`❌ [Webhooks] emit(${event}) error:`, err.message);
+    }
+  }
+
+  // ── Delivery log ───────────────────────────────────────────────────────────
+  async deliveries({ webhookId, state, event, limit = 50 } = {}) {
+    const filter = {};
+    if (webhookId) filter.webhookId = webhookId;
+    if (state)     filter.state = state;
+    if (event)     filter.event = event;
+    const docs = await this._deliveries
+      .find(filter)
+      .sort({ createdAt: -1 })
+      .limit(Math.min(Number(limit) || 50, 500))
+      .toArray();
+    return docs.map(({ _id, purgeAt, ...rest }) => ({ id: _id, ...rest }));
+  }
+
+  async redeliver(id) {
+    const doc = await this._deliveries.findOneAndUpdate(
+      { _id: id, state: { $ne: DeliveryState.DELIVERING } },
+      { $set: { state: DeliveryState.PENDING, attempts: 0, nextAttemptAt: new Date() } },
+      { returnDocument: 'after' }
+    );
+    if (!doc) throw new WebhookError('Delivery not found or in progress', 404);
+    setImmediate(() => this._tick());
+    return { id: doc._id, state: doc.state };
+  }
+
+  // ── Dispatcher ─────────────────────────────────────────────────────────────
+  async start() {
+    if (this._timer) return;
+    await this._reclaimStale();
+    this._timer = setInterval(() => this._tick(), this._intervalMs);
+    // A lease runs for timeoutMs * 3, so looking more often finds nothing new
+    this._reclaimer = setInterval(() => this._reclaimStale().catch(err =>
+      console.error('❌ [Webhooks] reclaim error:', err.message)
+    ), this._timeoutMs * 3);
+    console.log(`⏱️  [Webhooks] Dispatcher started — interval ${this._intervalMs / 1000}s`);
+  }
+
+  stop() {
+    clearInterval(this._timer);
+    clearInterval(this._reclaimer);
+    this._timer     = null;
+    this._reclaimer = null;
+  }
+
+  // Fill the free worker slots with due deliveries. Each one finishing
+  // triggers another tick, so a backlog drains without waiting for the timer.
+  async _tick() {
+    if (this._busy) return;
+    this._busy = true;
+    try {
+      while (this._active < this._concurrency) {
+        const delivery = await this._claim();
+        if (!delivery) break;
+        this._run(delivery);
+      }
+    } catch (err) {
+      console.error('❌ [Webhooks] dispatcher error:', err.message);
+    } finally {
+      this._busy = false;
+    }
+  }
+
+  _run(delivery) {
+    const { webhookId } = delivery;
+    this._active++;
+    this._inFlight.set(webhookId, (this._inFlight.get(webhookId) || 0) + 1);
+    this._attempt(delivery)
+      .catch(err => console.error(`❌ [Webhooks] delivery ${delivery._id} error:`, err.message))
+      .finally(() => {
+        this._active--;
+        const left = this._inFlight.get(webhookId) - 1;
+        if (left) this._inFlight.set(webhookId, left);
+        else      this._inFlight.delete(webhookId);
+        setImmediate(() => this._tick());
+      });
+  }
+
+  // Deliveries whose lease ran out (their worker died or got stuck, here or
+  // in a previous process) go back to pending
+  async _reclaimStale() {
+    const { modifiedCount } = await this._deliveries.updateMany(
+      { state: DeliveryState.DELIVERING, leaseExpires: { $lte: new Date() } },
+      { $set: { state: DeliveryState.PENDING }, $unset: { leaseExpires: '' } }
+    );
+    if (modifiedCount) console.warn(`♻️  [Webhooks] Reclaimed ${modifiedCount} stale deliver${modifiedCount === 1 ? 'y' : 'ies'}`);
+  }
+
+  // The oldest due delivery for a subscriber that has a free slot
+  _claim() {
+    const now  = new Date();
+    const full = [...this._inFlight].filter(([, count]) => count >= this._perWebhook).map(([id]) => id);
+    return this._deliveries.findOneAndUpdate(
+      { state: DeliveryState.PENDING, nextAttemptAt: { $lte: now }, ...(full.length ? { webhookId: { $nin: full } } : {}) },
+      {
+        $set: { state: DeliveryState.DELIVERING, leaseExpires: new Date(now.getTime() + this._timeoutMs * 3) },
+        $inc: { attempts: 1 },
+      },
+      { sort: { nextAttemptAt: 1 }, returnDocument: 'after' }
+    );
+  }
+
+  async _attempt(delivery) {
+    const hook = await this._hooks.findOne({ _id: delivery.webhookId });
+    if (!hook || !hook.active) {
+      await this._finish(delivery, DeliveryState.FAILED, { error: 'webhook removed or inactive' });
+      return;
+    }
+
+    const timestamp = Math.floor(Date.now() / 1000);
+    const body = JSON.stringify({
+      id:        delivery._id,
+      event:     delivery.event,
+      createdAt: delivery.createdAt,
+      data:      delivery.payload,
+    });
+    const signature = crypto.createHmac('sha256', hook.secret).update(`${timestamp}.${body}`).digest('hex');
+
+    let status = null;
+    let error  = null;
+    try {
+      const res = await fetch(hook.url, {
+        method:  'POST',
+        headers: {
+          'Content-Type':        'application/json',
+          'User-Agent':          'whatsapp-bot-webhooks/1',
+          'X-Webhook-Id':        delivery._id,
+          'X-Webhook-Event':     delivery.event,
+          'X-Webhook-Timestamp': String(timestamp),
+          'X-Webhook-Signature': `sha256=${signature}`,
+        },
+        body,
+        signal: AbortSignal.timeout(this._timeoutMs),
+      });
+      status = res.status;
+      if (!res.ok) error = `HTTP ${res.status}`;
+    } catch (err) {
+      error = err.name === 'TimeoutError' ? `timeout after ${this._timeoutMs}ms` : err.message;
+    }
+
+    if (!error) {
+      await this._finish(delivery, DeliveryState.DELIVERED, { status });
+      return;
+    }
+
+    if (delivery.attempts >= this._maxAttempts) {
+      console.warn(`⚠️  [Webhooks] Giving up on ${delivery.event} → ${hook.url} after ${delivery.attempts} attempts: ${error}`);
+      await this._finish(delivery, DeliveryState.FAILED, { status, error });
+      return;
+    }
+
+    const delay = this._backoff(delivery.attempts);
+    await this._finish(delivery, DeliveryState.PENDING, {
+      status, error, nextAttemptAt: new Date(Date.now() + delay),
+    });
+  }
+
+  async _finish(delivery, state, { status = null, error = null, nextAttemptAt } = {}) {
+    const now = new Date();
+    const $set = { state, lastStatus: status, lastError: error, updatedAt: now };
+    if (nextAttemptAt) $set.nextAttemptAt = nextAttemptAt;
+    if (state === DeliveryState.DELIVERED) $set.deliveredAt = now;
+    await this._deliveries.updateOne(
+      { _id: delivery._id },
+      {
+        $set,
+        $unset: { leaseExpires: '' },
+        $push: { history: { attempt: delivery.attempts, at: now, status, error } },
+      }
+    );
+  }
+
+  // Exponential backoff with jitter (half fixed, half random)
+  _backoff(attempt) {
+    const cap = Math.min(this._maxDelayMs, this._baseDelayMs * 2 ** (attempt - 1));
+    return Math.round(cap / 2 + Math.random() * cap / 2);
+  }
+}
+
+function isHttpUrl(value) {
+  try {
+    const { protocol } = new URL(value);
+    return protocol === 'http:' || protocol === 'https:';
+  } catch {
+    return false;
+  }
+}
+
+function present({ _id, secret, ...hook }, { withSecret = false } = {}) {
+  return {
+    id: _id,
+    ...hook,
+    secret: withSecret ? secret : `${secret.slice(0, 4)}…`,
+  };
+}
@@ -0,0 +1,125 @@
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'node:events';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { after, before, test } from 'node:test';
+import { ClientState } from '../src/clientState.js';
+import { WhatsAppSession } from '../src/sessions.js';
+
+// ─── Pairing-code login ───────────────────────────────────────────────────────
+// Drives a WhatsAppSession through the pairing flow against a stub client:
+// the test plays WhatsApp's part by emitting the events the real client would.
+
+class StubClient extends EventEmitter {
+  constructor() {
+    super();
+    this.pairingRequests = [];
+    this.pairingError    = null;
+  }
+
+  async initialize() {}
+  async destroy() {}
+
+  async requestPairingCode(phone, showNotification) {
+    this.pairingRequests.push({ phone, showNotification });
+    if (this.pairingError) throw this.pairingError;
+    return 'ABCDEFGH';
+  }
+}
+
+// Sessions take authDir relative to the working directory
+let authDir;
+before(async () => {
+  authDir = path.relative(process.cwd(), await fs.mkdtemp(path.join(os.tmpdir(), 'wwebjs-auth-')));
+});
+after(() => fs.rm(authDir, { recursive: true, force: true }));
+
+// A started session whose stub client has shown a QR
+async function sessionWaitingForQr() {
+  const clients = [];
+  const session = new WhatsAppSession('test', {
+    authDir,
+    createClient: () => {
+      const client = new StubClient();
+      clients.push(client);
+      return client;
+    },
+  });
+  await session.start();
+  clients.at(-1).emit('qr', 'QR-1');
+  assert.equal(session.state, ClientState.WAITING_FOR_QR);
+  return { session, clients };
+}
+
+test('a pairing code takes the session from the QR to READY', async () => {
+  const { session, clients: [client] } = await sessionWaitingForQr();
+  const codes = [];
+  session.on('pairing_code', code => codes.push(code));
+
+  const pairing = await session.requestPairingCode('963957999999');
+  assert.deepEqual(client.pairingRequests, [{ phone: '963957999999', showNotification: true }]);
+  assert.equal(pairing.code, 'ABCDEFGH');
+  assert.equal(session.state, ClientState.WAITING_FOR_PAIRING);
+  assert.equal(session.status().hasPairingCode, true);
+
+  // WhatsApp rotates the code until the phone links; new QRs are not shown
+  client.emit('code', 'WXYZ1234');
+  client.emit('qr', 'QR-2');
+  assert.equal(session.pairing.code, 'WXYZ1234');
+  assert.equal(session.state, ClientState.WAITING_FOR_PAIRING);
+  assert.deepEqual(codes, ['ABCDEFGH', 'WXYZ1234']);
+
+  client.emit('authenticated');
+  assert.equal(session.state, ClientState.AUTHENTICATING);
+  assert.equal(session.pairing, null);
+
+  client.emit('ready');
+  assert.equal(session.state, ClientState.READY);
+  assert.deepEqual(
+    session.status({ historyLimit: 10 }).history.map(h => h.to).reverse(),
+    [ClientState.BOOTING, ClientState.RESTORING_SESSION, ClientState.WAITING_FOR_QR,
+      ClientState.WAITING_FOR_PAIRING, ClientState.AUTHENTICATING, ClientState.READY]
+  );
+  await assert.rejects(session.requestPairingCode('963957999999'), { status: 409 });
+});
+
+test('a code can only be requested while the QR is showing', async () => {
+  const session = new WhatsAppSession('test', { authDir, createClient: () => new StubClient() });
+  await session.start();
+  assert.equal(session.state, ClientState.RESTORING_SESSION);
+  await assert.rejects(session.requestPairingCode('963957999999'), { status: 409 });
+});
+
+test('a failed code request leaves the QR in place', async () => {
+  const { session, clients: [client] } = await sessionWaitingForQr();
+  client.pairingError = new Error('rate-overlimit');
+
+  await assert.rejects(session.requestPairingCode('963957999999'), { status: 502 });
+  assert.equal(session.pairing, null);
+  assert.equal(session.state, ClientState.WAITING_FOR_QR);
+  assert.equal(session.qrValue, 'QR-1');
+
+  client.emit('qr', 'QR-2');
+  assert.equal(session.qrValue, 'QR-2');
+});
+
+test('a restart goes back from the pairing code to the QR', async () => {
+  const { session, clients } = await sessionWaitingForQr();
+  await session.requestPairingCode('963957999999');
+  assert.equal(session.state, ClientState.WAITING_FOR_PAIRING);
+
+  await session.stop();
+  await session.start();
+  assert.equal(clients.length, 2);
+  clients[1].emit('qr', 'QR-3');
+  assert.equal(session.pairing, null);
+  assert.equal(session.qrValue, 'QR-3');
+  assert.equal(session.state, ClientState.WAITING_FOR_QR);
+
+  // The old client's events no longer count
+  clients[0].emit('code', 'OLDCODE1');
+  clients[0].emit('ready');
+  assert.equal(session.pairing, null);
+  assert.equal(session.state, ClientState.WAITING_FOR_QR);
+});